@@ -5,22 +5,67 @@
 
 // --- State Management ---
 const AppState = {
+    sourceRows: [], // Parsed sheet rows, kept so the column mapping can be changed later
+    activeProfile: null, // Name of the mapping profile applied to the current file, if any
+    pendingWorkbook: null, // Multi-sheet workbook waiting for the user to pick sheets
+    fileName: '',
+    pendingComparison: null, // { name, workbook } of a baseline file dropped together with the current one
+    comparison: null, // { previousName, currentName, previousRows } for week-over-week mode
     rawData: [],
     processedData: [], // Data with normalized keys
+    displayData: [], // processedData after duplicate handling
+    tableExport: null, // { name, columns, rows } of the current table view, for export
+    pagination: {
+        page: 1,
+        pageSize: 100
+    },
+    pivotConfig: { // Grouping levels and metric columns of the pivot view
+        dimensions: ['partner', 'advertiser'],
+        metrics: ['score', 'incrementalBudget', 'calculatedOpportunity']
+    },
+    pivotExpanded: new Set(), // Keys (group-name paths) of expanded pivot rows
+    dataQuality: { issues: [], counts: {} }, // Flattened validation issues for the loaded dataset
+    qualityFilter: 'all', // Issue code selected in the Data Quality drill-down
+    pacingRange: null, // { min, max } pacing % band picked on the Charts histogram
     fieldMap: {}, // Maps internal keys to actual CSV headers
-    filters: {
+    currencySettings: { // Display currency (for rows without a currency column) and number locale
+        currency: 'USD',
+        locale: 'en-US'
+    },
+    fx: { // FX rate table: rates[code] = value of 1 unit in the base currency
+        enabled: false,
+        base: 'USD',
+        rates: {}
+    },
+    emailDrafts: { // Last generated { subject, body, html } per email builder, for copy and .eml download
+        opportunity: null,
+        pacing: null
+    },
+    contacts: [], // Contact directory: { level: 'partner' | 'advertiser', name, to, cc, greeting, owner }
+    emailBatch: null, // { type, templateName, drafts, skipped } from "Draft for Every Partner/Advertiser"
+    emailSender: { // Name and signature filled into email templates
+        name: '',
+        signature: ''
+    },
+    kpiTypes: DEFAULT_KPI_TYPES, // Goal type registry (direction, format, aliases), see KPI Types
+    resolveKpiType: createKpiResolver(DEFAULT_KPI_TYPES),
+    filters: { // Last applied sidebar filters (see readFilterState), saved with the session
         partner: 'all',
         advertiser: 'all',
         campaign: 'all',
-        kpiTypes: new Set(), // Changed to Set for multi-select
-        beatingKpi: false
+        sheet: 'all',
+        kpiTypes: [], // Checked KPI types (multi-select)
+        audienceTypes: [],
+        beatingKpi: false,
+        underPacing: false,
+        duplicate: 'none',
+        pacingRange: null
     },
     sortConfig: {
         key: 'calculatedOpportunity',
         direction: 'desc'
     },
     meta: {
-        totalOpportunity: 0,
         qualifyingCount: 0
     }
 };
@@ -51,7 +96,78 @@ const FIELD_MAPPING_CONFIG = {
     goalValue: ['Goal Value'],
     avgKpiValue: ['Average KPI Value'],
     offGoal: ['Off Goal %', 'Off Goal', 'Variance'],
-    spendRisk: ['Daily Spend Risk', 'Daily Spend Risk (-) or Incremental (+) - Advertiser Cost In Advertiser Currency']
+    currency: ['Currency', 'Advertiser Currency', 'Currency Code', 'Advertiser Currency Code'],
+    spendRisk: ['Daily Spend Risk', 'Daily Spend Risk (-) or Incremental (+) - Advertiser Cost In Advertiser Currency'],
+    plannedBudget: ['Planned Budget', 'Campaign Budget', 'Flight Budget', 'Total Budget'],
+    spendToDate: ['Spend to Date', 'Total Spend']
+};
+
+// localStorage keys. Everything we persist stays on this device.
+const STORAGE_KEYS = {
+    mappingProfiles: 'incrementalInsights.mappingProfiles',
+    formulas: 'incrementalInsights.formulas',
+    activeFormula: 'incrementalInsights.activeFormula',
+    scenarios: 'incrementalInsights.scenarios',
+    kpiTypes: 'incrementalInsights.kpiTypes',
+    currencySettings: 'incrementalInsights.currencySettings',
+    fxRates: 'incrementalInsights.fxRates',
+    emailTemplates: 'incrementalInsights.emailTemplates',
+    emailSender: 'incrementalInsights.emailSender',
+    contacts: 'incrementalInsights.contacts'
+};
+
+// Row-level checks run during normalization, shown in the Data Quality report
+const VALIDATION_RULES = {
+    unparseableNumber: { label: 'Unparseable number', description: 'Value could not be read as a number and was treated as 0' },
+    negativeDays: { label: 'Negative days remaining', description: 'Flight days remaining is below 0' },
+    pacingAboveCap: { label: 'Pacing above cap', description: 'Pacing was above 100% and has been capped' },
+    missingGoal: { label: 'Missing goal value', description: 'Campaign has a KPI type but no goal value' },
+    duplicateId: { label: 'Duplicate campaign ID', description: 'Campaign ID appears on more than one row' }
+};
+
+// Fields the opportunity logic cannot work without. If one of these is unmapped,
+// every campaign silently ends up with 0 and the dashboard "shows nothing".
+const REQUIRED_FIELDS = ['partner', 'advertiser', 'campaign', 'score', 'incrementalBudget', 'daysRemaining', 'pacing'];
+
+// Friendly names for the mapping wizard
+const FIELD_LABELS = {
+    partner: 'Partner',
+    advertiser: 'Advertiser',
+    campaign: 'Campaign',
+    decisioned: 'Market Type / Decisioned',
+    score: 'Decision Power Score',
+    incrementalBudget: 'Daily Incremental Budget',
+    daysRemaining: 'Flight Days Remaining',
+    pacing: 'Pacing',
+    campaignId: 'Campaign ID',
+    audienceType: 'Audience Predictor/Excluder',
+    beatingGoal: 'Beating KPI Goal',
+    kpiType: 'KPI / Goal Type',
+    goalValue: 'Goal Value',
+    avgKpiValue: 'Average KPI Value',
+    offGoal: 'Off Goal %',
+    spendRisk: 'Daily Spend Risk',
+    plannedBudget: 'Planned (Flight) Budget',
+    spendToDate: 'Spend to Date',
+    currency: 'Currency (ISO code, e.g. EUR)'
+};
+
+// Offered in the sidebar. A currency column in the file can hold any ISO 4217 code.
+const CURRENCY_OPTIONS = ['USD', 'EUR', 'GBP', 'JPY', 'AUD', 'CAD', 'NZD', 'SGD', 'HKD', 'INR', 'CNY', 'KRW', 'CHF', 'SEK', 'NOK', 'DKK', 'PLN', 'BRL', 'MXN', 'ZAR', 'AED'];
+
+const LOCALE_OPTIONS = {
+    'en-US': 'English (US) - 1,234.56',
+    'en-GB': 'English (UK) - 1,234.56',
+    'de-DE': 'German - 1.234,56',
+    'fr-FR': 'French - 1 234,56',
+    'es-ES': 'Spanish - 1.234,56',
+    'it-IT': 'Italian - 1.234,56',
+    'nl-NL': 'Dutch - 1.234,56',
+    'sv-SE': 'Swedish - 1 234,56',
+    'ja-JP': 'Japanese - 1,234.56',
+    'en-AU': 'English (Australia) - 1,234.56',
+    'en-SG': 'English (Singapore) - 1,234.56',
+    'en-IN': 'English (India) - 1,23,456.78'
 };
 
 // --- DOM References ---
@@ -61,10 +177,34 @@ const UI = {
     uploadSection: document.getElementById('upload-section'),
     dashboardSection: document.getElementById('dashboard-section'),
 
+    // Sheet Picker
+    sheetSection: document.getElementById('sheet-section'),
+    sheetList: document.getElementById('sheet-list'),
+    sheetSelectionHint: document.getElementById('sheet-selection-hint'),
+    btnSheetConfirm: document.getElementById('btn-sheet-confirm'),
+    btnSheetCancel: document.getElementById('btn-sheet-cancel'),
+
+    // Column Mapping Wizard
+    mappingSection: document.getElementById('mapping-section'),
+    mappingTableBody: document.querySelector('#mapping-table tbody'),
+    mappingSummary: document.getElementById('mapping-summary'),
+    btnMappingConfirm: document.getElementById('btn-mapping-confirm'),
+    btnMappingCancel: document.getElementById('btn-mapping-cancel'),
+    btnEditMapping: document.getElementById('btn-edit-mapping'),
+    mappingProfileSelect: document.getElementById('mapping-profile-select'),
+    btnSaveProfile: document.getElementById('btn-save-profile'),
+    btnDeleteProfile: document.getElementById('btn-delete-profile'),
+    btnExportProfiles: document.getElementById('btn-export-profiles'),
+    btnImportProfiles: document.getElementById('btn-import-profiles'),
+    profileImportInput: document.getElementById('profile-import-input'),
+    mappingProfileIndicator: document.getElementById('mapping-profile-indicator'),
+
     // Filters
     filterPartner: document.getElementById('filter-partner'),
     filterAdvertiser: document.getElementById('filter-advertiser'),
     filterCampaign: document.getElementById('filter-campaign'),
+    filterSheet: document.getElementById('filter-sheet'),
+    filterSheetGroup: document.getElementById('filter-sheet-group'),
     filterScore: document.getElementById('filter-score'),
     scoreVal: document.getElementById('score-val'),
     filterPacing: document.getElementById('filter-pacing'), // New
@@ -78,6 +218,8 @@ const UI = {
     incBufferVal: document.getElementById('inc-buffer-val'),
     filterDuplicate: document.getElementById('filter-duplicate'),
     filterUnderPacing: document.getElementById('filter-under-pacing'), // New Toggle
+    filterFormula: document.getElementById('filter-formula'),
+    btnEditFormula: document.getElementById('btn-edit-formula'),
 
     // Help View
     btnHelp: document.getElementById('btn-help'),
@@ -92,21 +234,123 @@ const UI = {
     statOpportunity: document.getElementById('stat-opportunity'),
     statUnderPacing: document.getElementById('stat-under-pacing-count'),
     statSpendRisk: document.getElementById('stat-spend-risk'),
+    statProjectedUnspent: document.getElementById('stat-projected-unspent'),
 
     // Table
     tableTitle: document.getElementById('table-title'),
     recordCount: document.getElementById('record-count'),
     tableHead: document.querySelector('#data-table thead'),
     tableBody: document.querySelector('#data-table tbody'),
+    resumeSession: document.getElementById('resume-session'),
+    resumeSessionInfo: document.getElementById('resume-session-info'),
+    btnResumeSession: document.getElementById('btn-resume-session'),
+    btnCopyLink: document.getElementById('btn-copy-link'),
+    btnClearSession: document.getElementById('btn-clear-session'),
+    progressPanel: document.getElementById('progress-panel'),
+    progressLabel: document.getElementById('progress-label'),
+    progressBar: document.getElementById('progress-bar'),
+    tablePagination: document.getElementById('table-pagination'),
+    pivotConfig: document.getElementById('pivot-config'),
+    pivotDimensionSelects: Array.from(document.querySelectorAll('.pivot-dim-select')),
+    pivotMetrics: document.getElementById('pivot-metrics'),
+    pivotExpand: document.getElementById('pivot-expand'),
+    btnPivotExpandAll: document.getElementById('btn-pivot-expand-all'),
+    btnPivotCollapseAll: document.getElementById('btn-pivot-collapse-all'),
+    pageInfo: document.getElementById('page-info'),
+    pageSizeSelect: document.getElementById('page-size-select'),
 
     // Views
     viewData: document.getElementById('view-data'),
     viewEmail: document.getElementById('view-email'),
     viewEmailPacing: document.getElementById('view-email-pacing'), // New
+    viewQuality: document.getElementById('view-quality'),
+    viewFormula: document.getElementById('view-formula'),
+    settingCurrency: document.getElementById('setting-currency'),
+    settingLocale: document.getElementById('setting-locale'),
+    btnFxRates: document.getElementById('btn-fx-rates'),
+    viewFx: document.getElementById('view-fx'),
+    btnBackDataFx: document.getElementById('btn-back-data-fx'),
+    fxEnabled: document.getElementById('fx-enabled'),
+    fxBase: document.getElementById('fx-base'),
+    fxRateRows: document.getElementById('fx-rate-rows'),
+    fxStatus: document.getElementById('fx-status'),
+    fxCurrenciesSeen: document.getElementById('fx-currencies-seen'),
+    btnAddFxRate: document.getElementById('btn-add-fx-rate'),
+    btnImportFx: document.getElementById('btn-import-fx'),
+    fxImportInput: document.getElementById('fx-import-input'),
+    btnSaveFx: document.getElementById('btn-save-fx'),
+    currencyWarning: document.getElementById('currency-warning'),
+    viewKpiTypes: document.getElementById('view-kpi-types'),
+    btnViewKpiTypes: document.getElementById('btn-kpi-types-view'),
+    viewContacts: document.getElementById('view-contacts'),
+    btnViewContacts: document.getElementById('btn-contacts-view'),
+    btnBackDataContacts: document.getElementById('btn-back-data-contacts'),
+    contactRows: document.getElementById('contact-rows'),
+    contactsMissing: document.getElementById('contacts-missing'),
+    btnAddContact: document.getElementById('btn-add-contact'),
+    btnImportContacts: document.getElementById('btn-import-contacts'),
+    contactsImportInput: document.getElementById('contacts-import-input'),
+    btnExportContacts: document.getElementById('btn-export-contacts'),
+    btnSaveContacts: document.getElementById('btn-save-contacts'),
+    btnBackDataKpiTypes: document.getElementById('btn-back-data-kpi-types'),
+    kpiTypeRows: document.getElementById('kpi-type-rows'),
+    kpiTypesSeen: document.getElementById('kpi-types-seen'),
+    btnAddKpiType: document.getElementById('btn-add-kpi-type'),
+    btnSaveKpiTypes: document.getElementById('btn-save-kpi-types'),
+    btnResetKpiTypes: document.getElementById('btn-reset-kpi-types'),
+    viewScenarios: document.getElementById('view-scenarios'),
+    viewCharts: document.getElementById('view-charts'),
+    btnViewCharts: document.getElementById('btn-charts-view'),
+    chartOpportunityLevel: document.getElementById('chart-opportunity-level'),
+    chartOpportunity: document.getElementById('chart-opportunity'),
+    chartPacing: document.getElementById('chart-pacing'),
+    chartScatter: document.getElementById('chart-scatter'),
+    chartSpendRisk: document.getElementById('chart-spend-risk'),
+    filterPacingRange: document.getElementById('filter-pacing-range'),
+    filterPacingRangeLabel: document.getElementById('filter-pacing-range-label'),
+    btnClearPacingRange: document.getElementById('btn-clear-pacing-range'),
     btnViewData: document.getElementById('btn-view-data'),
     btnViewEmail: document.getElementById('btn-email-view'),
     btnViewPacingEmail: document.getElementById('btn-pacing-email-view'), // New
+    btnViewQuality: document.getElementById('btn-quality-view'),
+    btnViewScenarios: document.getElementById('btn-scenarios-view'),
     viewLevelSelect: document.getElementById('view-level-select'), // New aggregation switch
+    comparisonSummary: document.getElementById('comparison-summary'),
+
+    // Comparison
+    btnCompare: document.getElementById('btn-compare'),
+    compareFileInput: document.getElementById('compare-file-input'),
+    btnClearComparison: document.getElementById('btn-clear-comparison'),
+
+    // Formula Editor
+    formulaEditSelect: document.getElementById('formula-edit-select'),
+    formulaName: document.getElementById('formula-name'),
+    formulaConditions: document.getElementById('formula-conditions'),
+    formulaExpression: document.getElementById('formula-expression'),
+    formulaStatus: document.getElementById('formula-status'),
+    formulaReference: document.getElementById('formula-reference'),
+    btnAddCondition: document.getElementById('btn-add-condition'),
+    btnSaveFormula: document.getElementById('btn-save-formula'),
+    btnSaveFormulaAs: document.getElementById('btn-save-formula-as'),
+    btnDeleteFormula: document.getElementById('btn-delete-formula'),
+    btnApplyFormula: document.getElementById('btn-apply-formula'),
+    btnBackDataFormula: document.getElementById('btn-back-data-formula'),
+
+    // Scenarios
+    scenarioList: document.getElementById('scenario-list'),
+    scenarioTableHead: document.querySelector('#scenario-table thead'),
+    scenarioTableBody: document.querySelector('#scenario-table tbody'),
+    btnSaveScenario: document.getElementById('btn-save-scenario'),
+
+    // Data Quality
+    qualityBadge: document.getElementById('quality-badge'),
+    qualityCount: document.getElementById('quality-count'),
+    qualitySummary: document.getElementById('quality-summary'),
+    qualityTableBody: document.querySelector('#quality-table tbody'),
+    btnExportQuality: document.getElementById('btn-export-quality'),
+
+    btnExportXlsx: document.getElementById('btn-export-xlsx'),
+    btnExportCsv: document.getElementById('btn-export-csv'),
 
     // Actions
     btnCalculate: document.getElementById('btn-calculate'),
@@ -122,6 +366,18 @@ const UI = {
     btnGenerateEmail: document.getElementById('btn-generate-email'),
     emailOutput: document.getElementById('email-output'),
     btnCopyEmail: document.getElementById('btn-copy-email'),
+    btnDownloadEmail: document.getElementById('btn-download-email'),
+    btnMailtoEmail: document.getElementById('btn-mailto-email'),
+    emailPreviewMode: document.getElementById('email-preview-mode'),
+    emailHtmlPreview: document.getElementById('email-html-preview'),
+    btnGenerateEmailBatch: document.getElementById('btn-generate-email-batch'),
+    emailBatchLabel: document.getElementById('email-batch-label'),
+    emailBatch: document.getElementById('email-batch'),
+    emailBatchSummary: document.getElementById('email-batch-summary'),
+    emailBatchList: document.getElementById('email-batch-list'),
+    btnDownloadEml: document.getElementById('btn-download-eml'),
+    btnDownloadEmailCsv: document.getElementById('btn-download-email-csv'),
+    btnCloseEmailBatch: document.getElementById('btn-close-email-batch'),
 
     // Pacing Email
     pacingEmailTemplateType: document.getElementById('pacing-email-template-type'),
@@ -133,23 +389,178 @@ const UI = {
     btnGeneratePacingEmail: document.getElementById('btn-generate-pacing-email'),
     pacingEmailOutput: document.getElementById('pacing-email-output'),
     btnCopyPacingEmail: document.getElementById('btn-copy-pacing-email'),
-    btnBackDataPacing: document.getElementById('btn-back-data-pacing')
+    btnDownloadPacingEmail: document.getElementById('btn-download-pacing-email'),
+    btnMailtoPacingEmail: document.getElementById('btn-mailto-pacing-email'),
+    pacingEmailPreviewMode: document.getElementById('pacing-email-preview-mode'),
+    pacingEmailHtmlPreview: document.getElementById('pacing-email-html-preview'),
+    btnBackDataPacing: document.getElementById('btn-back-data-pacing'),
+
+    // Email Templates
+    viewEmailTemplates: document.getElementById('view-email-templates'),
+    btnEditEmailTemplates: document.getElementById('btn-edit-email-templates'),
+    btnEditPacingEmailTemplates: document.getElementById('btn-edit-pacing-email-templates'),
+    btnBackEmailTemplates: document.getElementById('btn-back-email-templates'),
+    emailTemplateEditSelect: document.getElementById('email-template-edit-select'),
+    emailTemplateName: document.getElementById('email-template-name'),
+    emailTemplateKind: document.getElementById('email-template-kind'),
+    emailTemplateSubject: document.getElementById('email-template-subject'),
+    emailTemplateBody: document.getElementById('email-template-body'),
+    emailTemplateStatus: document.getElementById('email-template-status'),
+    emailTemplatePreview: document.getElementById('email-template-preview'),
+    emailTemplatePlaceholders: document.getElementById('email-template-placeholders'),
+    emailTemplateRowFields: document.getElementById('email-template-row-fields'),
+    emailTemplateRowLimit: document.getElementById('email-template-row-limit'),
+    btnInsertEmailRows: document.getElementById('btn-insert-email-rows'),
+    emailSenderName: document.getElementById('email-sender-name'),
+    emailSenderSignature: document.getElementById('email-sender-signature'),
+    btnApplyEmailTemplate: document.getElementById('btn-apply-email-template'),
+    btnSaveEmailTemplate: document.getElementById('btn-save-email-template'),
+    btnSaveEmailTemplateAs: document.getElementById('btn-save-email-template-as'),
+    btnDeleteEmailTemplate: document.getElementById('btn-delete-email-template')
 };
 
 // --- Initialization ---
 function init() {
+    startEngine();
     setupUploadListeners();
-    setupFilterListeners();
+    setupSheetPicker();
+    setupMappingWizard();
     setupFilterListeners();
     setupNavigation();
     setupViewControls(); // New Listener
-    setupNavigation();
-    setupViewControls();
+    setupComparison();
+    setupExport();
+    setupPagination();
+    setupPivotConfig();
+    setupDataQuality();
+    setupFormulaEditor();
+    setupKpiTypes();
+    setupCurrencySettings();
+    setupFxRates();
+    setupScenarios();
+    setupCharts();
+    setupSession();
+    setupShareableLinks();
+    setupContacts();
+    setupEmailTemplates();
     setupEmailBuilder();
     setupPacingEmailBuilder(); // New
     setupHelpListeners(); // New listener logic
 }
 
+// --- Background Processing ---
+// Parsing, normalization and calculation run in js/worker.js (see "Engine Tasks" in engine.js).
+// Browsers that refuse to start the worker (e.g. Chrome on file://) run the same tasks
+// on the main thread instead.
+const Engine = {
+    worker: null,
+    localState: null, // Engine state when running on the main thread
+    nextId: 1,
+    pending: new Map(), // id -> { type, payload, handlers, transferred } awaiting a reply
+    calculationId: null // Calculation in flight; a newer one supersedes it
+};
+
+// Slider drags fire 'input' continuously; wait for a pause before recalculating
+const RECALC_DEBOUNCE_MS = 150;
+
+function startEngine() {
+    if (typeof Worker === 'undefined') {
+        fallBackToMainThread('Web Workers are not supported');
+        return;
+    }
+
+    try {
+        Engine.worker = new Worker('js/worker.js');
+        Engine.worker.onmessage = e => handleEngineReply(e.data);
+        Engine.worker.onerror = e => {
+            e.preventDefault();
+            fallBackToMainThread(e.message);
+        };
+    } catch (error) {
+        fallBackToMainThread(error.message);
+    }
+}
+
+function fallBackToMainThread(reason) {
+    if (Engine.worker) Engine.worker.terminate();
+    Engine.worker = null;
+    if (Engine.localState) return;
+
+    console.warn(`Background worker unavailable, processing on the main thread (${reason})`);
+    Engine.localState = createEngineState();
+
+    // Replay whatever the worker never answered. A transferred payload went with the worker,
+    // so those tasks can only fail (the user drops the file again)
+    Engine.pending.forEach((task, id) => {
+        if (task.transferred) handleEngineReply({ id, type: 'error', message: `Background worker stopped during '${task.type}'` });
+        else postEngineMessage({ id, type: task.type, payload: task.payload });
+    });
+}
+
+function postEngineMessage(message, transfer) {
+    if (Engine.worker) {
+        Engine.worker.postMessage(message, transfer || []);
+        return;
+    }
+
+    // Defer so the progress panel gets a chance to paint before the work blocks the page
+    setTimeout(() => handleEngineMessage(Engine.localState, message, handleEngineReply), 0);
+}
+
+// Run an engine task. handlers: { onProgress(progress, label), onDone(result), onError(message) }.
+// progress is a 0-1 fraction, or null when the step can't tell. transfer: buffers inside payload
+// to move to the worker instead of copying; payload is unusable afterwards. Returns the task id.
+function runEngineTask(type, payload, handlers = {}, transfer) {
+    const id = Engine.nextId++;
+    Engine.pending.set(id, { type, payload, handlers, transferred: Boolean(transfer && transfer.length) });
+    postEngineMessage({ id, type, payload }, transfer);
+    return id;
+}
+
+function handleEngineReply(reply) {
+    const task = Engine.pending.get(reply.id);
+    if (!task) return; // Superseded or cancelled on this side already
+
+    const { handlers } = task;
+    if (reply.type === 'progress') {
+        if (handlers.onProgress) handlers.onProgress(reply.progress, reply.label);
+        return;
+    }
+
+    Engine.pending.delete(reply.id);
+    if (reply.type === 'done' && handlers.onDone) {
+        handlers.onDone(reply.result);
+    } else if (reply.type === 'error') {
+        console.error(reply.message);
+        if (handlers.onError) handlers.onError(reply.message);
+    }
+}
+
+function debounce(fn, wait) {
+    let timer = null;
+    return (...args) => {
+        clearTimeout(timer);
+        timer = setTimeout(() => fn(...args), wait);
+    };
+}
+
+// --- Progress ---
+// label: what is happening; progress: 0-1, or null for an indeterminate bar
+function showProgress(label, progress) {
+    if (!UI.progressPanel) return;
+
+    UI.progressPanel.classList.remove('hidden');
+    UI.progressLabel.textContent = label;
+
+    const known = typeof progress === 'number';
+    UI.progressBar.classList.toggle('indeterminate', !known);
+    UI.progressBar.style.width = known ? `${Math.round(progress * 100)}%` : '';
+}
+
+function hideProgress() {
+    if (UI.progressPanel) UI.progressPanel.classList.add('hidden');
+}
+
 // --- File Upload & Parsing ---
 function setupUploadListeners() {
     // Drag & Drop
@@ -188,190 +599,648 @@ function handleFiles(e) {
     const files = e.target.files;
     if (files.length === 0) return;
 
+    AppState.pendingComparison = null;
+
+    if (files.length > 1) {
+        // Two reports: the older one becomes the comparison baseline,
+        // the newer one the working dataset
+        if (files.length > 2) {
+            alert("Only two files can be compared at once. Using the two most recent.");
+        }
+        const sorted = Array.from(files).sort((a, b) => (a.lastModified - b.lastModified) || a.name.localeCompare(b.name));
+        const previous = sorted[sorted.length - 2];
+        const current = sorted[sorted.length - 1];
+
+        readWorkbook(previous, workbook => {
+            AppState.pendingComparison = { name: previous.name, workbook };
+            processFile(current);
+        });
+        return;
+    }
+
     const file = files[0];
     processFile(file);
 }
 
 function processFile(file) {
+    AppState.fileName = file.name;
+
+    readWorkbook(file, workbook => {
+        // Several tabs: let the user pick (and optionally merge) before mapping
+        if (workbook.sheetNames.length > 1) {
+            showSheetPicker(workbook);
+            return;
+        }
+
+        loadSheets(workbook, [workbook.sheetNames[0]]);
+    });
+}
+
+// Read and parse a file in the background. onLoad receives the parsed workbook
+// ({ sheetNames, sheets: { name: rows } }, see parseWorkbook in engine.js).
+function readWorkbook(file, onLoad) {
     const reader = new FileReader();
+    const parseError = () => alert("Error parsing file. Please ensure it is a valid Excel or CSV file.");
+
+    reader.onprogress = function (e) {
+        if (e.lengthComputable) showProgress(`Reading ${file.name}...`, e.loaded / e.total);
+    };
 
     reader.onload = function (e) {
+        showProgress(`Parsing ${file.name}...`, null);
+
+        // The file's bytes move to the worker rather than being copied; a large workbook stays in memory once
         const data = new Uint8Array(e.target.result);
-        try {
-            const workbook = XLSX.read(data, { type: 'array' });
+        runEngineTask('parse', { data }, {
+            onProgress: (progress, label) => showProgress(`${label} (${file.name})`, progress),
+            onDone: workbook => {
+                hideProgress();
+                try {
+                    onLoad(workbook);
+                } catch (error) {
+                    console.error(error);
+                    parseError();
+                }
+            },
+            onError: () => {
+                hideProgress();
+                parseError();
+            }
+        }, [data.buffer]);
+    };
+
+    reader.onerror = function () {
+        hideProgress();
+        alert(`Could not read ${file.name}.`);
+    };
 
-            // Assume first sheet
-            const firstSheetName = workbook.SheetNames[0];
-            const worksheet = workbook.Sheets[firstSheetName];
+    reader.readAsArrayBuffer(file);
+}
 
-            // Convert to JSON
-            const json = XLSX.utils.sheet_to_json(worksheet, { defval: "" });
+function loadSheets(workbook, sheetNames) {
+    const json = sheetsToRows(workbook, sheetNames);
 
-            if (json.length === 0) {
-                alert("File appears to be empty.");
-                return;
-            }
+    if (json.length === 0) {
+        alert("File appears to be empty.");
+        return;
+    }
+
+    openMappingWizard(json);
+}
+
+// --- Sheet Picker ---
+function setupSheetPicker() {
+    if (!UI.sheetSection) return;
+
+    UI.btnSheetCancel.addEventListener('click', () => {
+        AppState.pendingWorkbook = null;
+        AppState.pendingComparison = null;
+        UI.sheetSection.classList.add('hidden');
+        UI.uploadSection.classList.remove('hidden');
+        UI.uploadSection.classList.add('active-view');
+        UI.fileInput.value = '';
+    });
+
+    UI.btnSheetConfirm.addEventListener('click', () => {
+        const selected = Array.from(UI.sheetList.querySelectorAll('.sheet-checkbox:checked')).map(cb => cb.value);
+        if (selected.length === 0) {
+            alert("Please select at least one sheet.");
+            return;
+        }
 
-            normalizeData(json);
-            transitionToDashboard();
+        const workbook = AppState.pendingWorkbook;
+        AppState.pendingWorkbook = null;
+        UI.sheetSection.classList.add('hidden');
 
+        try {
+            loadSheets(workbook, selected);
         } catch (error) {
             console.error(error);
             alert("Error parsing file. Please ensure it is a valid Excel or CSV file.");
         }
-    };
+    });
 
-    reader.readAsArrayBuffer(file);
+    UI.sheetList.addEventListener('change', updateSheetSelectionHint);
 }
 
-// --- Data Normalization ---
-function normalizeData(json) {
-    // 1. Identify Columns
-    const headers = Object.keys(json[0]);
-    AppState.fieldMap = {};
+function showSheetPicker(workbook) {
+    AppState.pendingWorkbook = workbook;
+
+    UI.sheetList.innerHTML = workbook.sheetNames.map((name, index) => {
+        const rowCount = (workbook.sheets[name] || []).length;
+        const isEmpty = rowCount === 0;
+
+        return `<label class="sheet-option ${isEmpty ? 'disabled' : ''}">
+            <input type="checkbox" class="sheet-checkbox" value="${escapeHtml(name)}" ${index === 0 && !isEmpty ? 'checked' : ''} ${isEmpty ? 'disabled' : ''}>
+            <span style="font-weight:500;">${escapeHtml(name)}</span>
+            <span class="badge" style="margin-left:auto;">${isEmpty ? 'Empty' : `${rowCount} rows`}</span>
+        </label>`;
+    }).join('');
+
+    updateSheetSelectionHint();
+
+    UI.uploadSection.classList.add('hidden');
+    UI.uploadSection.classList.remove('active-view');
+    UI.sheetSection.classList.remove('hidden');
+    if (window.lucide) lucide.createIcons();
+}
+
+function updateSheetSelectionHint() {
+    const count = UI.sheetList.querySelectorAll('.sheet-checkbox:checked').length;
+    UI.sheetSelectionHint.textContent = count > 1 ?
+        `${count} sheets will be merged into one dataset. Use the "Source Sheet" filter to tell them apart.` :
+        'Select more than one sheet to merge them into one dataset.';
+}
+
+// --- Column Mapping Wizard ---
+function setupMappingWizard() {
+    if (!UI.mappingSection) return;
+
+    UI.btnMappingConfirm.addEventListener('click', confirmMapping);
+    UI.btnMappingCancel.addEventListener('click', () => {
+        // Back to wherever we came from: dashboard if data is loaded, upload otherwise
+        UI.mappingSection.classList.add('hidden');
+        if (AppState.rawData.length > 0) {
+            UI.dashboardSection.classList.remove('hidden');
+        } else {
+            UI.uploadSection.classList.remove('hidden');
+            UI.uploadSection.classList.add('active-view');
+            UI.fileInput.value = '';
+        }
+    });
 
-    // Map internal keys to found headers
+    // Re-validate status badges as the user picks columns
+    UI.mappingTableBody.addEventListener('change', updateMappingStatus);
+
+    if (UI.btnEditMapping) {
+        UI.btnEditMapping.addEventListener('click', () => {
+            if (!AppState.sourceRows.length) return;
+            UI.dashboardSection.classList.add('hidden');
+            showMappingWizard(getSourceHeaders(AppState.sourceRows), AppState.fieldMap);
+        });
+    }
+
+    // Profiles
+    UI.mappingProfileSelect.addEventListener('change', () => {
+        const profile = loadMappingProfiles().find(p => p.name === UI.mappingProfileSelect.value);
+        if (!profile) return;
+        showMappingWizard(getSourceHeaders(AppState.sourceRows), profile.fieldMap);
+        UI.mappingProfileSelect.value = profile.name;
+    });
+    UI.btnSaveProfile.addEventListener('click', saveCurrentMappingAsProfile);
+    UI.btnDeleteProfile.addEventListener('click', () => {
+        const name = UI.mappingProfileSelect.value;
+        if (!name) return;
+        if (!confirm(`Delete mapping profile "${name}"?`)) return;
+        storeMappingProfiles(loadMappingProfiles().filter(p => p.name !== name));
+        renderProfileSelect();
+    });
+    UI.btnExportProfiles.addEventListener('click', exportMappingProfiles);
+    UI.btnImportProfiles.addEventListener('click', () => UI.profileImportInput.click());
+    UI.profileImportInput.addEventListener('change', importMappingProfiles);
+}
+
+// Exact (case-insensitive) header detection against FIELD_MAPPING_CONFIG
+function detectFieldMap(headers) {
+    const map = {};
     for (const [key, searchTerms] of Object.entries(FIELD_MAPPING_CONFIG)) {
-        // Find a header that includes one of the search terms (case-insensitive)
         const match = headers.find(h =>
             searchTerms.some(term => h.trim().toLowerCase() === term.toLowerCase())
         );
         if (match) {
-            AppState.fieldMap[key] = match;
+            map[key] = match;
         }
     }
+    return map;
+}
 
-    // 2. Process Rows
-    AppState.rawData = json.map((row, index) => {
-        const normalized = { _id: index, _row: row }; // Keep original
-
-        // Extract known fields
-        for (const [key, mapping] of Object.entries(AppState.fieldMap)) {
-            let val = row[mapping];
-
-            // Clean value (logic for comma removal etc)
-            if (val !== undefined && val !== null) {
-                // Clean value: remove commas and currency symbols ($)
-                const cleanedStr = String(val).replace(/[$,]/g, '');
-
-                if (key === 'pacing') {
-                    if (String(val).includes('%')) {
-                        // "98%" -> 98
-                        val = parseFloat(cleanedStr.replace('%', ''));
-                    } else {
-                        val = parseFloat(cleanedStr);
-                        // Heuristic: If value is small (<= 2.0 like 1.05), assume ratio (1.05 -> 105%). 
-                        // If value is > 2.0 (like 98), assume percentage (98 -> 98%).
-                        if (!isNaN(val) && val <= 2.0) {
-                            val = val * 100;
-                        }
-                    }
+function openMappingWizard(json) {
+    AppState.sourceRows = json;
 
-                    // Cap at 100%
-                    if (val > 100) val = 100;
-                    // Ensure decimals are handled if needed, but 100 is max.
-                } else if (['score', 'incrementalBudget', 'daysRemaining', 'avgKpiValue', 'goalValue', 'spendRisk'].includes(key)) {
-                    val = parseFloat(cleanedStr) || 0;
-                } else if (key === 'offGoal') {
-                    // " -5% " -> -0.05 or -5?
-                    // Usually string "5%" -> 0.05?
-                    // If it has %, parseFloat removes it.
-                    // If CSV says "-5%", parseFloat("-5") -> -5.
-                    // If CSV says "0.05", parseFloat -> 0.05.
-                    // Let's assume standard Percentage rules.
-                    if (String(val).includes('%')) {
-                        val = parseFloat(cleanedStr.replace('%', '')); // -5 from "-5%"
-                        val = val / 100; // -0.05
-                    } else {
-                        val = parseFloat(cleanedStr);
-                    }
-                } else {
-                    val = String(val).trim(); // Text fields
-                }
-            } else {
-                val = ''; // Default empty
-                if (['score', 'incrementalBudget', 'daysRemaining', 'pacing'].includes(key)) val = 0;
-            }
+    const headers = getSourceHeaders(json);
 
-            normalized[key] = val;
-        }
+    // A saved profile for this exact header set wins over detection
+    const profile = findProfileForHeaders(headers);
+    if (profile) {
+        AppState.activeProfile = profile.name;
+        normalizeData(json, filterMapToHeaders(profile.fieldMap, headers), transitionToDashboard);
+        return;
+    }
 
-        // Calculate KPI Performance Ratio
-        // (Average KPI Value / Goal Value) as requested
-        const avg = parseFloat(normalized.avgKpiValue) || 0;
-        const goal = parseFloat(normalized.goalValue) || 0;
+    AppState.activeProfile = null;
+    const detected = detectFieldMap(headers);
 
-        if (goal !== 0) {
-            normalized.kpiPerfRatio = avg / goal;
-        } else {
-            normalized.kpiPerfRatio = 0;
-        }
+    // Every required field matched exactly: nothing to ask, go straight to the dashboard.
+    // Optional fields come along when detected and are simply left out when not.
+    const requiredMapped = REQUIRED_FIELDS.every(key => detected[key]);
+    if (requiredMapped) {
+        normalizeData(json, detected, transitionToDashboard);
+        return;
+    }
 
-        // Normalize beatingGoal to boolean
-        // RECALCULATE based on user rule:
-        // CPA/Cost: Beats if under goal.
-        // Others: Beats if over goal.
+    showMappingWizard(headers, detected);
+}
 
-        let calculatedBeating = false;
-        const type = String(normalized.kpiType).toLowerCase();
+function showMappingWizard(headers, currentMap) {
+    const exactMap = detectFieldMap(headers);
+
+    UI.mappingTableBody.innerHTML = Object.keys(FIELD_MAPPING_CONFIG).map(key => {
+        const isRequired = REQUIRED_FIELDS.includes(key);
+        // Don't suggest a column that is already an exact match for a different field
+        // ("Campaign" is not a good guess for Campaign ID)
+        const claimed = Object.entries(exactMap).filter(([k]) => k !== key).map(([, h]) => h);
+        const suggestions = suggestColumns(key, headers.filter(h => !claimed.includes(h)));
+
+        // Preselect: existing mapping > exact match > strong fuzzy suggestion
+        let selected = currentMap[key] || '';
+        let origin = selected ? (exactMap[key] === selected ? 'detected' : 'manual') : '';
+        if (!selected && suggestions.length > 0 && suggestions[0].score >= 0.6) {
+            selected = suggestions[0].header;
+            origin = 'suggested';
+        }
 
-        if (type.includes('cpa') || type.includes('cost')) {
-            // Lower is better
-            // Beating if Avg <= Goal (and Goal is not 0)
-            if (goal > 0 && avg <= goal) calculatedBeating = true;
-        } else {
-            // Higher is better (CTR, VCR, ROAS)
-            if (avg >= goal) calculatedBeating = true;
+        let options = `<option value="">-- Not mapped --</option>`;
+        if (suggestions.length > 0) {
+            options += `<optgroup label="Suggested">`;
+            suggestions.forEach(s => {
+                options += `<option value="${escapeHtml(s.header)}" ${s.header === selected ? 'selected' : ''}>${escapeHtml(s.header)} (${Math.round(s.score * 100)}% match)</option>`;
+            });
+            options += `</optgroup>`;
         }
+        options += `<optgroup label="All Columns">`;
+        headers.forEach(h => {
+            const isSuggested = suggestions.some(s => s.header === h);
+            // Only mark as selected here if it wasn't already picked from the suggestions group
+            options += `<option value="${escapeHtml(h)}" ${h === selected && !isSuggested ? 'selected' : ''}>${escapeHtml(h)}</option>`;
+        });
+        options += `</optgroup>`;
+
+        return `<tr data-key="${key}" data-origin="${origin}">
+            <td>
+                <span style="font-weight:600;">${FIELD_LABELS[key] || key}</span>
+                ${isRequired ? `<span class="badge" style="font-size:0.7rem; margin-left:0.5rem;">Required</span>` : ''}
+            </td>
+            <td><select class="custom-select mapping-select" data-key="${key}">${options}</select></td>
+            <td class="mapping-status"></td>
+        </tr>`;
+    }).join('');
+
+    updateMappingStatus();
+    renderProfileSelect();
+
+    UI.uploadSection.classList.add('hidden');
+    UI.uploadSection.classList.remove('active-view');
+    UI.mappingSection.classList.remove('hidden');
+    if (window.lucide) lucide.createIcons();
+}
 
-        // Use calculated if goal exists, otherwise fallback to CSV
-        if (goal > 0) {
-            normalized.beatingGoalBool = calculatedBeating;
+function updateMappingStatus(e) {
+    const rows = UI.mappingTableBody.querySelectorAll('tr');
+    let missingRequired = 0;
+    let mappedCount = 0;
+
+    rows.forEach(row => {
+        const key = row.getAttribute('data-key');
+        const select = row.querySelector('.mapping-select');
+        const statusCell = row.querySelector('.mapping-status');
+
+        // A manual change overrides whatever the wizard decided
+        if (e && e.target === select) row.setAttribute('data-origin', 'manual');
+
+        const origin = row.getAttribute('data-origin');
+        let status = '';
+
+        if (select.value) {
+            mappedCount++;
+            if (origin === 'detected') {
+                status = `<span style="color:var(--success); font-weight:500;">Detected</span>`;
+            } else if (origin === 'suggested') {
+                status = `<span style="color:#d97706; font-weight:500;">Suggested - please confirm</span>`;
+            } else {
+                status = `<span style="color:var(--primary); font-weight:500;">Mapped</span>`;
+            }
+        } else if (REQUIRED_FIELDS.includes(key)) {
+            missingRequired++;
+            status = `<span style="color:var(--danger); font-weight:600;">Missing (required)</span>`;
         } else {
-            const bg = String(normalized.beatingGoal).toLowerCase();
-            normalized.beatingGoalBool = bg === 'true' || bg === 'yes' || bg === '1';
+            status = `<span style="color:var(--text-muted);">Not mapped</span>`;
         }
 
-        // Default 'calculatedOpportunity'
-        normalized.calculatedOpportunity = 0;
+        statusCell.innerHTML = status;
+    });
 
-        // Default 'calculatedOpportunity'
-        normalized.calculatedOpportunity = 0;
+    const total = rows.length;
+    UI.mappingSummary.innerHTML = missingRequired > 0 ?
+        `<span style="color:var(--danger); font-weight:600;">${missingRequired} required field(s) missing.</span> ${mappedCount} of ${total} fields mapped.` :
+        `${mappedCount} of ${total} fields mapped. All required fields are present.`;
+}
 
-        return normalized;
+function readMappingSelection() {
+    const map = {};
+    UI.mappingTableBody.querySelectorAll('.mapping-select').forEach(select => {
+        if (select.value) map[select.getAttribute('data-key')] = select.value;
     });
+    return map;
+}
 
-    // --- DUPLICATE DETECTION ---
-    const seenIds = new Set();
-    const duplicates = new Set();
+function confirmMapping() {
+    const map = readMappingSelection();
 
-    // First pass to identify duplicates
-    AppState.rawData.forEach(item => {
-        const id = item.campaignId;
-        if (id) {
-            if (seenIds.has(id)) {
-                duplicates.add(id);
+    const missing = REQUIRED_FIELDS.filter(key => !map[key]);
+    if (missing.length > 0) {
+        const names = missing.map(key => FIELD_LABELS[key] || key).join(', ');
+        if (!confirm(`The following required fields are not mapped: ${names}.\n\nOpportunities will be calculated as 0 for these. Continue anyway?`)) {
+            return;
+        }
+    }
+
+    UI.mappingSection.classList.add('hidden');
+    // Keep the profile label only if the user applied it unchanged
+    const profile = loadMappingProfiles().find(p => p.name === UI.mappingProfileSelect.value);
+    const headers = getSourceHeaders(AppState.sourceRows);
+    AppState.activeProfile = profile && sameFieldMap(filterMapToHeaders(profile.fieldMap, headers), map) ? profile.name : null;
+    normalizeData(AppState.sourceRows, map, transitionToDashboard);
+}
+
+// --- Mapping Profiles ---
+// A profile is a named fieldMap plus the fingerprint of the header set it was built for.
+// When a new upload has the same headers, the profile is applied without showing the wizard.
+function headerFingerprint(headers) {
+    return headers.map(h => String(h).trim().toLowerCase()).sort().join('|');
+}
+
+function loadMappingProfiles() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.mappingProfiles) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        console.error(error);
+        return [];
+    }
+}
+
+function storeMappingProfiles(profiles) {
+    localStorage.setItem(STORAGE_KEYS.mappingProfiles, JSON.stringify(profiles));
+}
+
+function findProfileForHeaders(headers) {
+    const fingerprint = headerFingerprint(headers);
+    return loadMappingProfiles().find(p => p.fingerprint === fingerprint) || null;
+}
+
+// Drop mappings that point at columns this file doesn't have
+function filterMapToHeaders(fieldMap, headers) {
+    const map = {};
+    for (const [key, header] of Object.entries(fieldMap || {})) {
+        if (FIELD_MAPPING_CONFIG[key] && headers.includes(header)) map[key] = header;
+    }
+    return map;
+}
+
+function sameFieldMap(a, b) {
+    const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+    return [...keys].every(key => a[key] === b[key]);
+}
+
+function renderProfileSelect() {
+    const profiles = loadMappingProfiles();
+    const fingerprint = AppState.sourceRows.length ? headerFingerprint(getSourceHeaders(AppState.sourceRows)) : '';
+    const current = UI.mappingProfileSelect.value || AppState.activeProfile || '';
+
+    UI.mappingProfileSelect.innerHTML = `<option value="">-- Apply saved profile --</option>` +
+        profiles.map(p => {
+            const matches = p.fingerprint === fingerprint ? ' (matches this file)' : '';
+            return `<option value="${escapeHtml(p.name)}">${escapeHtml(p.name)}${matches}</option>`;
+        }).join('');
+
+    if (profiles.some(p => p.name === current)) UI.mappingProfileSelect.value = current;
+    UI.btnDeleteProfile.disabled = profiles.length === 0;
+    UI.btnExportProfiles.disabled = profiles.length === 0;
+}
+
+function saveCurrentMappingAsProfile() {
+    const headers = getSourceHeaders(AppState.sourceRows);
+    const suggestedName = UI.mappingProfileSelect.value || '';
+    const name = (prompt('Name this mapping profile (e.g. "DSP export v2"):', suggestedName) || '').trim();
+    if (!name) return;
+
+    const profiles = loadMappingProfiles();
+    const fingerprint = headerFingerprint(headers);
+
+    // Only one profile can claim a header set, otherwise auto-apply would be ambiguous
+    const clash = profiles.find(p => p.fingerprint === fingerprint && p.name !== name);
+    if (clash && !confirm(`Profile "${clash.name}" is already saved for this header set. Replace it with "${name}"?`)) {
+        return;
+    }
+
+    const profile = {
+        name,
+        fingerprint,
+        headers: [...headers],
+        fieldMap: readMappingSelection(),
+        savedAt: new Date().toISOString()
+    };
+
+    storeMappingProfiles([
+        ...profiles.filter(p => p.name !== name && p.fingerprint !== fingerprint),
+        profile
+    ]);
+    renderProfileSelect();
+    UI.mappingProfileSelect.value = name;
+}
+
+function exportMappingProfiles() {
+    const payload = {
+        type: 'incremental-insights-mapping-profiles',
+        version: 1,
+        exportedAt: new Date().toISOString(),
+        profiles: loadMappingProfiles()
+    };
+    downloadFile('mapping-profiles.json', JSON.stringify(payload, null, 2), 'application/json');
+}
+
+function importMappingProfiles(e) {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = function (ev) {
+        try {
+            const parsed = JSON.parse(ev.target.result);
+            // Accept our export envelope, a bare array, or a single profile
+            const incoming = Array.isArray(parsed) ? parsed : (Array.isArray(parsed.profiles) ? parsed.profiles : [parsed]);
+
+            const valid = incoming
+                .filter(p => p && typeof p.name === 'string' && p.name.trim() && p.fieldMap && typeof p.fieldMap === 'object')
+                .map(p => {
+                    const fieldMap = {};
+                    for (const [key, header] of Object.entries(p.fieldMap)) {
+                        if (FIELD_MAPPING_CONFIG[key] && typeof header === 'string') fieldMap[key] = header;
+                    }
+                    const headers = Array.isArray(p.headers) ? p.headers.map(String) : Object.values(fieldMap);
+                    return {
+                        name: p.name.trim(),
+                        fingerprint: typeof p.fingerprint === 'string' ? p.fingerprint : headerFingerprint(headers),
+                        headers,
+                        fieldMap,
+                        savedAt: p.savedAt || new Date().toISOString()
+                    };
+                });
+
+            if (valid.length === 0) {
+                alert("No valid mapping profiles found in this file.");
+                return;
             }
-            seenIds.add(id);
+
+            // Imported profiles replace local ones with the same name or header set
+            const names = new Set(valid.map(p => p.name));
+            const fingerprints = new Set(valid.map(p => p.fingerprint));
+            const kept = loadMappingProfiles().filter(p => !names.has(p.name) && !fingerprints.has(p.fingerprint));
+            storeMappingProfiles([...kept, ...valid]);
+            renderProfileSelect();
+            alert(`Imported ${valid.length} mapping profile(s).`);
+        } catch (error) {
+            console.error(error);
+            alert("Error reading profiles. Please ensure it is a JSON file exported from Incremental Insights.");
+        } finally {
+            UI.profileImportInput.value = '';
         }
-    });
+    };
+    reader.readAsText(file);
+}
 
-    // Second pass to mark them
-    AppState.rawData.forEach(item => {
-        if (item.campaignId && duplicates.has(item.campaignId)) {
-            item.isDuplicate = true;
-        } else {
-            item.isDuplicate = false;
+function downloadFile(filename, content, mimeType) {
+    const blob = content instanceof Blob ? content : new Blob([content], { type: mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+// Rank headers by how closely they resemble the known variations of an internal key.
+// Returns [{ header, score }] sorted best first, score in 0..1.
+function suggestColumns(key, headers) {
+    const terms = [key, ...(FIELD_MAPPING_CONFIG[key] || [])];
+
+    return headers
+        .map(header => {
+            const score = Math.max(...terms.map(term => columnSimilarity(header, term)));
+            return { header, score };
+        })
+        .filter(s => s.score >= 0.4)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, 3);
+}
+
+function columnSimilarity(a, b) {
+    const normA = normalizeHeader(a);
+    const normB = normalizeHeader(b);
+    if (!normA || !normB) return 0;
+    if (normA === normB) return 1;
+
+    // Token overlap, where abbreviations count ("Dec." matches "Decision")
+    const tokensA = normA.split(' ');
+    const tokensB = normB.split(' ');
+    const matched = tokensB.filter(tb =>
+        tokensA.some(ta => ta === tb || (Math.min(ta.length, tb.length) >= 3 && (ta.startsWith(tb) || tb.startsWith(ta))))
+    ).length;
+    const tokenScore = (2 * matched) / (tokensA.length + tokensB.length);
+
+    // Character bigram (Dice) similarity catches typos and joined words ("CampaignId")
+    const bigrams = str => {
+        const s = str.replace(/ /g, '');
+        const out = [];
+        for (let i = 0; i < s.length - 1; i++) out.push(s.slice(i, i + 2));
+        return out;
+    };
+    const bgA = bigrams(normA);
+    const bgB = bigrams(normB);
+    let overlap = 0;
+    const pool = [...bgB];
+    bgA.forEach(bg => {
+        const idx = pool.indexOf(bg);
+        if (idx !== -1) {
+            overlap++;
+            pool.splice(idx, 1);
         }
     });
+    const diceScore = (bgA.length + bgB.length) > 0 ? (2 * overlap) / (bgA.length + bgB.length) : 0;
+
+    return Math.max(tokenScore, diceScore) * 0.95; // never quite as good as an exact match
+}
 
-    AppState.processedData = [...AppState.rawData];
+function normalizeHeader(str) {
+    return String(str)
+        .replace(/([a-z])([A-Z])/g, '$1 $2') // camelCase -> camel Case
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim();
+}
 
-    // Initial UI Population
-    populateFilters(AppState.processedData);
+function escapeHtml(str) {
+    return String(str)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
 
-    // Auto-Run Calculation
-    runCalculation();
+// --- Data Normalization ---
+// Normalization runs in the background; onReady is called once the dataset is in place.
+function normalizeData(json, fieldMap, onReady) {
+    // 1. Identify Columns
+    // Use the mapping confirmed in the wizard, or fall back to exact header detection
+    const headers = getSourceHeaders(json);
+    const map = fieldMap ? { ...fieldMap } : detectFieldMap(headers);
+
+    // 2. Process Rows
+    showProgress('Preparing rows...', 0);
+    runEngineTask('normalize', { dataset: 'current', rows: json, fieldMap: map, kpiTypes: AppState.kpiTypes }, {
+        onProgress: (progress, label) => showProgress(label, progress),
+        onDone: rows => {
+            hideProgress();
+            AppState.fieldMap = map;
+            AppState.rawData = rows;
+            buildDataQualityReport(AppState.rawData);
+
+            const finish = () => {
+                AppState.processedData = [...AppState.rawData];
+
+                // Initial UI Population
+                populateFilters(AppState.processedData);
+
+                // Auto-Run Calculation. A shared link reproduces its view on the new data.
+                const linked = readViewStateFromHash();
+                if (linked) {
+                    applyViewState(linked);
+                    applyFilters();
+                } else {
+                    runCalculation();
+                }
+                saveSessionDataset();
+                if (onReady) onReady();
+            };
+
+            // 3. Comparison baseline (second file dropped alongside this one)
+            if (AppState.pendingComparison) {
+                const pending = AppState.pendingComparison;
+                AppState.pendingComparison = null;
+                setComparisonBaseline(pending.name, pending.workbook, finish);
+            } else {
+                // A new dataset invalidates any previous comparison
+                clearComparison();
+                finish();
+            }
+        },
+        onError: message => {
+            hideProgress();
+            alert(`Error processing file: ${message}`);
+        }
+    });
 }
 
 // --- UI Logic ---
@@ -379,6 +1248,11 @@ function transitionToDashboard() {
     UI.uploadSection.classList.add('hidden');
     UI.uploadSection.classList.remove('active-view');
     UI.dashboardSection.classList.remove('hidden');
+
+    if (UI.mappingProfileIndicator) {
+        UI.mappingProfileIndicator.textContent = AppState.activeProfile ? `Mapping profile: ${AppState.activeProfile}` : '';
+        UI.mappingProfileIndicator.classList.toggle('hidden', !AppState.activeProfile);
+    }
 }
 
 UI.btnReset.addEventListener('click', () => {
@@ -392,10 +1266,17 @@ function populateFilters(data) {
     const advertisers = [...new Set(data.map(d => d.advertiser).filter(Boolean))].sort();
     const campaigns = [...new Set(data.map(d => d.campaign).filter(Boolean))].sort();
     const kpiTypes = [...new Set(data.map(d => d.kpiType).filter(Boolean))].sort();
+    const sheets = [...new Set(data.map(d => d.sourceSheet).filter(Boolean))];
     fillSelect(UI.filterPartner, partners);
     fillSelect(UI.filterAdvertiser, advertisers);
     fillSelect(UI.filterCampaign, campaigns);
 
+    // Source Sheet only matters when several sheets were merged
+    if (UI.filterSheet) {
+        fillSelect(UI.filterSheet, sheets);
+        UI.filterSheetGroup.classList.toggle('hidden', sheets.length < 2);
+    }
+
     // KPI Types - Checkbox List
     UI.filterKpiContainer.innerHTML = '';
 
@@ -416,9 +1297,8 @@ function populateFilters(data) {
             checkbox.value = type;
             checkbox.classList.add('kpi-checkbox');
 
-            // Default: Select all EXCEPT "No Goal"
-            const lower = type.toLowerCase();
-            if (lower !== 'no goal' && lower !== 'none' && lower !== 'n/a') {
+            // Default: Select all EXCEPT "No Goal" (or any other type edited to have no goal)
+            if (getKpiType(type).format !== 'none') {
                 checkbox.checked = true;
             }
 
@@ -481,6 +1361,7 @@ function setupFilterListeners() {
     UI.filterPartner.addEventListener('change', applyFilters);
     UI.filterAdvertiser.addEventListener('change', applyFilters);
     UI.filterCampaign.addEventListener('change', applyFilters);
+    if (UI.filterSheet) UI.filterSheet.addEventListener('change', applyFilters);
     UI.filterBeatingKpi.addEventListener('change', applyFilters);
     if (UI.filterDuplicate) UI.filterDuplicate.addEventListener('change', applyFilters);
 
@@ -494,11 +1375,17 @@ function setupFilterListeners() {
 
     if (UI.filterUnderPacing) UI.filterUnderPacing.addEventListener('change', applyFilters); // Listener for new toggle
 
+    // Sliders update their label immediately, but only recalculate once the user pauses.
+    // Moving a slider again cancels a calculation that is still running.
+    const scheduleFilters = debounce(applyFilters, RECALC_DEBOUNCE_MS);
+    const scheduleCalculation = debounce(runCalculation, RECALC_DEBOUNCE_MS);
+
     // KPI Buffer
     if (UI.filterKpiBuffer) {
         UI.filterKpiBuffer.addEventListener('input', (e) => {
             UI.bufferVal.textContent = e.target.value + '%';
-            applyFilters();
+            cancelCalculation();
+            scheduleFilters();
         });
     }
 
@@ -509,7 +1396,8 @@ function setupFilterListeners() {
             // Add + sign if positive
             const sign = val > 0 ? '+' : '';
             UI.incBufferVal.textContent = `${sign}${val}%`;
-            applyFilters();
+            cancelCalculation();
+            scheduleFilters();
         });
     }
 
@@ -517,15 +1405,16 @@ function setupFilterListeners() {
     if (UI.filterScore) {
         UI.filterScore.addEventListener('input', (e) => {
             UI.scoreVal.textContent = e.target.value;
-            // Debounce or just run? It's client side, just run.
-            runCalculation();
+            cancelCalculation();
+            scheduleCalculation();
         });
     }
 
     if (UI.filterPacing) {
         UI.filterPacing.addEventListener('input', (e) => {
             UI.pacingVal.textContent = e.target.value + '%';
-            runCalculation();
+            cancelCalculation();
+            scheduleCalculation();
         });
     }
 
@@ -539,13 +1428,25 @@ function setupFilterListeners() {
     });
 }
 
+// Sync the value labels next to the sliders after setting them from code
+function updateSliderLabels() {
+    if (UI.filterScore) UI.scoreVal.textContent = UI.filterScore.value;
+    if (UI.filterPacing) UI.pacingVal.textContent = UI.filterPacing.value + '%';
+    if (UI.filterKpiBuffer) UI.bufferVal.textContent = UI.filterKpiBuffer.value + '%';
+    if (UI.filterIncBuffer) {
+        const val = parseInt(UI.filterIncBuffer.value);
+        UI.incBufferVal.textContent = `${val > 0 ? '+' : ''}${val}%`;
+    }
+}
+
 function setupViewControls() {
     if (UI.viewLevelSelect) {
         UI.viewLevelSelect.addEventListener('change', () => {
             // Reset sort when changing view? Or keep?
             // Resetting might be safer as keys change.
-            AppState.sortConfig.key = 'calculatedOpportunity';
-            renderTable(AppState.processedData);
+            AppState.sortConfig.key = UI.viewLevelSelect.value === 'comparison' ? 'opportunityDelta' : 'calculatedOpportunity';
+            AppState.pagination.page = 1;
+            renderTable(AppState.displayData);
         });
     }
 }
@@ -553,71 +1454,153 @@ function setupViewControls() {
 // Global function for pivot toggle
 window.togglePivotRow = function (id) {
     const row = document.getElementById(id);
-    if (!row) return;
+    if (!row || !row.dataset.key) return;
 
-    const isExpanded = row.getAttribute('data-expanded') === 'true';
-    row.setAttribute('data-expanded', !isExpanded);
-
-    // Toggle icon
-    const icon = row.querySelector('.pivot-icon');
-    if (icon) {
-        icon.innerHTML = !isExpanded ?
-            `<i data-lucide="chevron-down" width="16" height="16"></i>` :
-            `<i data-lucide="chevron-right" width="16" height="16"></i>`;
-        if (window.lucide) lucide.createIcons();
-    }
+    setPivotExpanded([row.dataset.key], row.getAttribute('data-expanded') !== 'true');
+};
 
-    // Find children
-    const level = parseInt(row.getAttribute('data-level'));
-    let nextRow = row.nextElementSibling;
-
-    while (nextRow) {
-        const nextLevel = parseInt(nextRow.getAttribute('data-level'));
-        if (nextLevel <= level) break; // End of this block
-
-        // Logic:
-        // If expanding parent: show immediate children (level + 1).
-        // If collapsing parent: hide ALL descendants.
-
-        if (!isExpanded) {
-            // EXPANDING
-            // Only show immediate children
-            if (nextLevel === level + 1) {
-                nextRow.classList.remove('hidden');
-                // Ensure their state is reflected (e.g. if they were expanded, should their children show?
-                // For simplicity, let's keep their children hidden unless they assume 'expanded' state logic which is complex.
-                // Let's just show immediate children as collapsed unless we track state deeply.
-
-                // Better approach: When expanding, we show direct children.
-                // If a direct child was previously expanded, we might want to show its children too, but standard behavior is fine to keep them hidden or restore state.
-                // Simple: Show direct children.
-                nextRow.setAttribute('data-expanded', 'false'); // Reset child expansion? or keep?
-
-                // Let's go with: Show direct children. For grandchildren, check if the direct child is expanded.
-            }
-        } else {
-            // COLLAPSING
-            // Hide everything deeper until sibling
-            nextRow.classList.add('hidden');
-            // We should also visually reset the expansion of children if we want a clean state next time?
-            // Optional.
-        }
+// Expand or collapse the given nodes, then show/hide rows to match. Nested state is
+// kept, so re-expanding a parent restores the children that were open before.
+function setPivotExpanded(keys, expanded) {
+    keys.forEach(key => expanded ? AppState.pivotExpanded.add(key) : AppState.pivotExpanded.delete(key));
+    syncPivotRows();
+}
 
-        nextRow = nextRow.nextElementSibling;
-    }
+function syncPivotRows() {
+    // ancestorsOpen[level] = every group above a row at this level is visible and expanded
+    const ancestorsOpen = [true, true];
 
-    // Re-run expansion check if we want to restore deep state?
-    // Actually, "Toggle" logic usually hides all descendants.
-    // "Expand" usually only shows direct children OR restores previous state.
-    // Let's implement robust "Hide All Descendants" on collapse.
-    // On Expand: Show direct children. If a direct child is marked expanded, show its children?
-    // Let's do simple: Collapse hides all. Expand shows direct children.
-};
+    UI.tableBody.querySelectorAll('.pivot-row').forEach(row => {
+        const level = parseInt(row.getAttribute('data-level'));
+        const visible = ancestorsOpen[level];
+        row.classList.toggle('hidden', !visible);
 
-function applyFilters() {
-    const fPartner = UI.filterPartner.value;
-    const fAdvertiser = UI.filterAdvertiser.value;
-    const fCampaign = UI.filterCampaign.value;
+        if (!row.dataset.key) return; // Campaign leaf
+
+        const isExpanded = AppState.pivotExpanded.has(row.dataset.key);
+        ancestorsOpen[level + 1] = visible && isExpanded;
+
+        if (row.getAttribute('data-expanded') !== String(isExpanded)) {
+            row.setAttribute('data-expanded', isExpanded);
+            row.setAttribute('aria-expanded', isExpanded);
+            const icon = row.querySelector('.pivot-icon');
+            if (icon) {
+                icon.innerHTML = `<i data-lucide="${isExpanded ? 'chevron-down' : 'chevron-right'}" width="16" height="16"></i>`;
+            }
+        }
+    });
+
+    if (window.lucide) lucide.createIcons();
+}
+
+// Expand every group above the given level so that level is visible, or collapse the level
+// and everything below it. Level is 1-based (1 = first dimension).
+function expandPivotToLevel(level, expanded) {
+    const keys = Array.from(UI.tableBody.querySelectorAll('.pivot-row[data-key]'))
+        .filter(row => {
+            const rowLevel = parseInt(row.getAttribute('data-level'));
+            return expanded ? rowLevel <= level : rowLevel >= level;
+        })
+        .map(row => row.dataset.key);
+    setPivotExpanded(keys, expanded);
+}
+
+// Keyboard navigation (treegrid pattern): Up/Down move between visible rows, Right expands
+// or steps into a group, Left collapses or steps out to the parent, Home/End jump, Enter/Space toggle.
+function handlePivotKeydown(e) {
+    const row = e.target.closest('.pivot-row');
+    if (!row || e.target !== row) return;
+
+    const rows = Array.from(UI.tableBody.querySelectorAll('.pivot-row:not(.hidden)'));
+    const index = rows.indexOf(row);
+    const level = parseInt(row.getAttribute('data-level'));
+    const isGroup = !!row.dataset.key;
+    const isExpanded = row.getAttribute('data-expanded') === 'true';
+    let target = null;
+
+    switch (e.key) {
+        case 'ArrowDown':
+            target = rows[index + 1];
+            break;
+        case 'ArrowUp':
+            target = rows[index - 1];
+            break;
+        case 'Home':
+            target = rows[0];
+            break;
+        case 'End':
+            target = rows[rows.length - 1];
+            break;
+        case 'ArrowRight':
+            if (!isGroup) break;
+            if (isExpanded) target = rows[index + 1];
+            else setPivotExpanded([row.dataset.key], true);
+            break;
+        case 'ArrowLeft':
+            if (isGroup && isExpanded) {
+                setPivotExpanded([row.dataset.key], false);
+            } else {
+                // Nearest row above with a lower level is the parent
+                for (let i = index - 1; i >= 0; i--) {
+                    if (parseInt(rows[i].getAttribute('data-level')) < level) {
+                        target = rows[i];
+                        break;
+                    }
+                }
+            }
+            break;
+        case 'Enter':
+        case ' ':
+            if (isGroup) setPivotExpanded([row.dataset.key], !isExpanded);
+            break;
+        default:
+            return;
+    }
+
+    e.preventDefault();
+    if (target) focusPivotRow(target);
+}
+
+function focusPivotRow(row) {
+    UI.tableBody.querySelectorAll('.pivot-row[tabindex="0"]').forEach(r => r.tabIndex = -1);
+    row.tabIndex = 0;
+    row.focus();
+}
+
+function applyFilters() {
+    AppState.filters = readFilterState();
+    updatePacingRangeChip();
+    const matchesFilters = buildFilterPredicate();
+    AppState.processedData = AppState.rawData.filter(matchesFilters);
+    AppState.pagination.page = 1;
+
+    // Re-run calculation only, which updates stats and table
+    runCalculation();
+}
+
+// Current values of the sidebar filter controls (not the calculation sliders)
+function readFilterState() {
+    return {
+        partner: UI.filterPartner.value,
+        advertiser: UI.filterAdvertiser.value,
+        campaign: UI.filterCampaign.value,
+        sheet: UI.filterSheet ? UI.filterSheet.value : 'all',
+        kpiTypes: Array.from(UI.filterKpiContainer.querySelectorAll('.kpi-checkbox:checked')).map(cb => cb.value),
+        audienceTypes: UI.filterAudienceContainer ? Array.from(UI.filterAudienceContainer.querySelectorAll('.audience-checkbox:checked')).map(cb => cb.value) : [],
+        beatingKpi: UI.filterBeatingKpi.checked,
+        underPacing: UI.filterUnderPacing ? UI.filterUnderPacing.checked : false,
+        duplicate: UI.filterDuplicate ? UI.filterDuplicate.value : 'none',
+        pacingRange: AppState.pacingRange
+    };
+}
+
+// Reads the sidebar controls once and returns an item => boolean predicate.
+// Also used to scope the comparison baseline the same way as the current data.
+function buildFilterPredicate() {
+    const fPartner = UI.filterPartner.value;
+    const fAdvertiser = UI.filterAdvertiser.value;
+    const fCampaign = UI.filterCampaign.value;
+    const fSheet = UI.filterSheet ? UI.filterSheet.value : 'all';
 
     // Get all checked boxes
     // Get all checked boxes
@@ -631,11 +1614,14 @@ function applyFilters() {
 
     const fBeatingKpi = UI.filterBeatingKpi.checked;
     const fUnderPacing = UI.filterUnderPacing ? UI.filterUnderPacing.checked : false;
+    const { pacingThreshold } = getCalcThresholds();
+    const fPacingRange = AppState.pacingRange;
 
-    AppState.processedData = AppState.rawData.filter(item => {
+    return item => {
         if (fPartner !== 'all' && item.partner !== fPartner) return false;
         if (fAdvertiser !== 'all' && item.advertiser !== fAdvertiser) return false;
         if (fCampaign !== 'all' && item.campaign !== fCampaign) return false;
+        if (fSheet !== 'all' && item.sourceSheet !== fSheet) return false;
 
         // Multi-select KPI check
         if (!selectedKpiTypes.includes(item.kpiType)) return false;
@@ -668,10 +1654,9 @@ function applyFilters() {
                 // We use kpiPerfRatio.
                 // High Better: Ratio 0.9 -> -10%. (0.9 - 1) = -0.1.
                 // Low Better: Ratio 1.1 -> -10%. (1 - 1.1) = -0.1.
-                const type = String(item.kpiType || '').toLowerCase();
                 const ratio = item.kpiPerfRatio || 0;
 
-                if (type.includes('cpa') || type.includes('cost')) {
+                if (isLowerBetterKpi(item.kpiType)) {
                     // Lower is better. If Ratio > 1 (e.g. 1.1), it is BAD (negative deviation).
                     variance = 1 - ratio;
                 } else {
@@ -689,870 +1674,4247 @@ function applyFilters() {
         }
 
         // Under Pacing Filter
-        if (fUnderPacing) {
-            let p = parseFloat(item.pacing);
-            if (isNaN(p) || p >= 99) return false;
-        }
+        if (fUnderPacing && !isUnderPacing(item, pacingThreshold)) return false;
 
-        return true;
-    });
+        // Pacing band from the Charts histogram
+        if (fPacingRange && !inPacingRange(item.pacing, fPacingRange)) return false;
 
-    // Re-run calculation only, which updates stats and table
-    runCalculation();
+        return true;
+    };
 }
 
 // --- Calculation Logic ---
+// Opportunities are computed in the background for every row (current and comparison
+// baseline datasets), then totals and the table are refreshed here.
 function runCalculation() {
-    let grandTotal = 0;
-    let qualifyingCount = 0;
-    let underPacingCount = 0;
-    let totalSpendRisk = 0;
+    cancelCalculation();
+    setCalculating(true);
 
     // Get dynamic threshold
-    const scoreThreshold = UI.filterScore ? parseInt(UI.filterScore.value) : 100;
-    const pacingThreshold = UI.filterPacing ? parseInt(UI.filterPacing.value) : 99;
-    const incBufferPercent = UI.filterIncBuffer ? parseInt(UI.filterIncBuffer.value) : 0;
-    const incBufferMultiplier = 1 + (incBufferPercent / 100);
+    const payload = { settings: getCalcThresholds(), formula: getActiveFormula(), fx: getFxConversion() };
+
+    // Convert amounts here too, so the rows shown match the ones the engine calculates on
+    applyFxRates(AppState.rawData, payload.fx);
+    if (AppState.comparison) applyFxRates(AppState.comparison.previousRows, payload.fx);
+    // Spend risk or its pacing-based estimate: decided per file, not per row
+    const hasSpendRisk = !!AppState.fieldMap.spendRisk;
+    applyDeliveryForecast(AppState.rawData, hasSpendRisk);
+    if (AppState.comparison) applyDeliveryForecast(AppState.comparison.previousRows, hasSpendRisk);
+
+    Engine.calculationId = runEngineTask('calculate', payload, {
+        onDone: results => {
+            Engine.calculationId = null;
+            setCalculating(false);
+
+            // 1. First Pass: Calculated values for ALL items
+            applyOpportunities(AppState.rawData, results.current);
+
+            // Baseline week gets the same thresholds so deltas compare like with like
+            if (AppState.comparison) applyOpportunities(AppState.comparison.previousRows, results.baseline);
+
+            renderCalculation();
+        },
+        onError: message => {
+            Engine.calculationId = null;
+            setCalculating(false);
+            alert(`Calculation failed: ${message}`);
+        }
+    });
+}
 
-    // 1. First Pass: Calculate values for ALL filtered items
-    AppState.processedData.forEach(item => {
-        // --- Spend Risk Logic ---
-        // Just calculation, don't sum yet
-        // --- Opportunity Logic ---
-        let isPacingHigh = false;
-        if (item.pacing >= pacingThreshold) isPacingHigh = true;
+// Drop the calculation in flight, if any. The engine stops at its next chunk.
+function cancelCalculation() {
+    if (!Engine.calculationId) return;
 
-        const isScoreHigh = item.score > scoreThreshold;
+    Engine.pending.delete(Engine.calculationId);
+    Engine.calculationId = null;
+    runEngineTask('cancel', {});
+    setCalculating(false);
+}
 
-        if (isPacingHigh && isScoreHigh) {
-            let opp = item.incrementalBudget * item.daysRemaining;
-            opp = opp * incBufferMultiplier;
-            item.calculatedOpportunity = opp;
-        } else {
-            item.calculatedOpportunity = 0;
-        }
+function applyOpportunities(rows, values) {
+    rows.forEach(item => {
+        item.calculatedOpportunity = values ? values[item._id] || 0 : 0;
     });
+}
 
-    // 2. Deduplication Logic
-    let displayData = AppState.processedData;
-    const dupFilter = UI.filterDuplicate ? UI.filterDuplicate.value : 'none';
-
-    if (dupFilter !== 'none') {
-        const uniqueMap = new Map();
-        displayData.forEach(item => {
-            const key = item.campaign;
-            if (!uniqueMap.has(key)) {
-                uniqueMap.set(key, item);
-            } else {
-                const existing = uniqueMap.get(key);
-                let replace = false;
+// Dim the numbers while they are out of date
+function setCalculating(active) {
+    document.body.classList.toggle('is-calculating', active);
+}
 
-                if (dupFilter === 'max-opp') {
-                    // Highest Opportunity Wins
-                    if (item.calculatedOpportunity > existing.calculatedOpportunity) {
-                        replace = true;
-                    } else if (item.calculatedOpportunity === existing.calculatedOpportunity) {
-                        // Tie breaker: maybe spend risk? or budget?
-                        if ((item.incrementalBudget || 0) > (existing.incrementalBudget || 0)) replace = true;
-                    }
-                } else if (dupFilter === 'best-perf') {
-                    // Best KPI Performance Wins
-                    const type = String(item.kpiType || '').toLowerCase();
-                    const isCost = type.includes('cpa') || type.includes('cost');
+function renderCalculation() {
+    let qualifyingCount = 0;
+    let underPacingCount = 0;
+    const { pacingThreshold } = getCalcThresholds();
 
-                    if (isCost) {
-                        // Lower Ratio is Better
-                        if (item.kpiPerfRatio < existing.kpiPerfRatio) replace = true;
-                    } else {
-                        // Higher Ratio is Better
-                        if (item.kpiPerfRatio > existing.kpiPerfRatio) replace = true;
-                    }
-                }
-                if (replace) uniqueMap.set(key, item);
-            }
-        });
-        displayData = Array.from(uniqueMap.values());
-    }
+    // 2. Deduplication Logic
+    const dupFilter = UI.filterDuplicate ? UI.filterDuplicate.value : 'none';
+    const displayData = applyDuplicateHandling(AppState.processedData, dupFilter);
 
     // 3. Second Pass: Aggregate Totals on Display Data
     displayData.forEach(item => {
         if (item.calculatedOpportunity > 0) {
-            grandTotal += item.calculatedOpportunity;
             qualifyingCount++;
         }
-        if (item.spendRisk && item.spendRisk < 0) {
-            totalSpendRisk += item.spendRisk;
+        if (isUnderPacing(item, pacingThreshold)) {
             underPacingCount++; // Count campaigns, effectively de-duped if filter is on
         }
     });
 
-    AppState.meta.totalOpportunity = grandTotal;
     AppState.meta.qualifyingCount = qualifyingCount;
     AppState.meta.underPacingCount = underPacingCount;
-    AppState.meta.totalSpendRisk = totalSpendRisk;
+    // Money totals are kept per currency (see sumByCurrency); amounts in different currencies never add up
+    AppState.meta.opportunityByCurrency = sumByCurrency(displayData, item => item.calculatedOpportunity > 0 ? item.calculatedOpportunity : 0);
+    AppState.meta.spendRiskByCurrency = sumByCurrency(displayData, item => item.spendRisk < 0 ? item.spendRisk : 0);
+    AppState.meta.projectedUnspentByCurrency = sumByCurrency(displayData, item => item.projectedUnspent);
+    AppState.displayData = displayData; // Filtered + de-duplicated, what the table shows
 
     // Refresh table and stats
     renderTable(displayData);
     updateStats(displayData);
+    if (UI.viewCharts && !UI.viewCharts.classList.contains('hidden')) renderCharts();
 }
 
+// Threshold settings from the sidebar sliders
+function getCalcThresholds() {
+    const scoreThreshold = UI.filterScore ? parseInt(UI.filterScore.value) : 100;
+    const pacingThreshold = UI.filterPacing ? parseInt(UI.filterPacing.value) : 99;
+    const incBufferPercent = UI.filterIncBuffer ? parseInt(UI.filterIncBuffer.value) : 0;
+    const incBufferMultiplier = 1 + (incBufferPercent / 100);
 
-// --- Rendering ---
-function updateStats(data) {
-    UI.statTotal.textContent = data.length;
-    UI.statQualifying.textContent = AppState.meta.qualifyingCount;
-    UI.statOpportunity.textContent = formatCurrency(AppState.meta.totalOpportunity);
+    return { scoreThreshold, pacingThreshold, incBufferMultiplier };
+}
 
-    if (UI.statUnderPacing) UI.statUnderPacing.textContent = AppState.meta.underPacingCount;
-    if (UI.statSpendRisk) UI.statSpendRisk.textContent = formatCurrency(AppState.meta.totalSpendRisk);
+// Pacing below the Min Pacing slider. The one test behind the Under Pacing filter, the
+// stat card, the pivot's Under-Pacing column and the pacing email.
+function isUnderPacing(item, pacingThreshold) {
+    const p = parseFloat(item.pacing);
+    return !isNaN(p) && p < pacingThreshold;
+}
 
-    UI.recordCount.textContent = `${data.length} records`;
+// Thresholds plus the compiled active formula, for calculating on the main thread
+function getCalcSettings() {
+    return { ...getCalcThresholds(), formula: getCompiledActiveFormula() };
 }
 
-function handleTableSort(key) {
-    if (AppState.sortConfig.key === key) {
-        // Toggle direction
-        AppState.sortConfig.direction = AppState.sortConfig.direction === 'asc' ? 'desc' : 'asc';
-    } else {
-        // New key, default to desc for numbers? or asc for text?
-        // Let's standard default to desc for easier view of 'top' items
-        AppState.sortConfig.key = key;
-        AppState.sortConfig.direction = 'desc';
+function loadCustomFormulas() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.formulas) || '[]');
+        return Array.isArray(stored) ? stored : [];
+    } catch (error) {
+        console.error(error);
+        return [];
     }
-    // Re-render
-    renderTable(AppState.processedData);
 }
 
-function renderTable(data) {
-    const viewLevel = UI.viewLevelSelect ? UI.viewLevelSelect.value : 'campaign';
+function storeCustomFormulas(formulas) {
+    localStorage.setItem(STORAGE_KEYS.formulas, JSON.stringify(formulas));
+}
 
-    if (viewLevel === 'pivot') {
-        renderPivotView(data);
-        return;
-    }
+function getAllFormulas() {
+    return [...FORMULA_PRESETS, ...loadCustomFormulas()];
+}
 
-    // --- AGGREGATION LOGIC ---
-    let tableData = data;
+function getActiveFormula() {
+    const activeId = localStorage.getItem(STORAGE_KEYS.activeFormula) || DEFAULT_FORMULA_ID;
+    return getAllFormulas().find(f => f.id === activeId) || FORMULA_PRESETS[0];
+}
 
-    if (viewLevel !== 'campaign') {
-        // Aggregation needed
-        const groups = {};
+function getCompiledActiveFormula() {
+    return compileFormulaOrDefault(getActiveFormula());
+}
 
-        data.forEach(item => {
-            const key = item[viewLevel] || 'Unknown';
-            if (!groups[key]) {
-                groups[key] = {
-                    name: key,
-                    partner: item.partner, // fallback for advertiser view
-                    count: 0,
-                    calculatedOpportunity: 0,
-                    incrementalBudget: 0,
-                    totalScore: 0,
-                    // We can't easily sum avgKpi without weight, omit for now or show sample
-                };
-            }
+// --- Formula Editor ---
+function setupFormulaEditor() {
+    if (!UI.filterFormula) return;
 
-            groups[key].count++;
-            groups[key].calculatedOpportunity += (item.calculatedOpportunity || 0);
-            groups[key].incrementalBudget += (item.incrementalBudget || 0);
-            groups[key].totalScore += (item.score || 0);
-        });
+    renderFormulaSelect();
 
-        // Convert back to array
-        tableData = Object.values(groups).map(g => ({
-            name: g.name,
-            partner: g.partner,
-            count: g.count,
-            calculatedOpportunity: g.calculatedOpportunity,
-            incrementalBudget: g.incrementalBudget,
-            avgScore: Math.round(g.totalScore / g.count)
-        }));
-    }
+    UI.filterFormula.addEventListener('change', () => {
+        localStorage.setItem(STORAGE_KEYS.activeFormula, UI.filterFormula.value);
+        runCalculation();
+    });
 
+    UI.btnEditFormula.addEventListener('click', () => switchView('formula'));
+    UI.btnBackDataFormula.addEventListener('click', () => switchView('data'));
 
-    // --- SORTING LOGIC ---
-    const { key: sortKey, direction } = AppState.sortConfig;
+    UI.formulaEditSelect.addEventListener('change', () => {
+        const formula = getAllFormulas().find(f => f.id === UI.formulaEditSelect.value);
+        if (formula) loadFormulaIntoEditor(formula);
+    });
 
-    // Safety check: if sort key doesn't exist in aggregated data (e.g. 'pacing'), fallback
-    // But 'calculatedOpportunity' exists in both.
+    UI.btnAddCondition.addEventListener('click', () => {
+        UI.formulaConditions.insertAdjacentHTML('beforeend', formulaConditionRow({ name: '', expr: '' }));
+        if (window.lucide) lucide.createIcons();
+    });
 
-    tableData.sort((a, b) => {
-        let valA = a[sortKey];
-        let valB = b[sortKey];
+    UI.formulaConditions.addEventListener('click', (e) => {
+        const btn = e.target.closest('.btn-remove-condition');
+        if (!btn) return;
+        btn.closest('.formula-condition').remove();
+        previewFormula();
+    });
 
-        // Handle fallback logic for missing keys in aggregate view
-        if (valA === undefined) valA = 0;
-        if (valB === undefined) valB = 0;
+    // Live validation + preview while typing
+    UI.viewFormula.addEventListener('input', previewFormula);
 
-        const isString = typeof valA === 'string' || typeof valB === 'string';
-        if (isString) {
-            valA = String(valA).toLowerCase();
-            valB = String(valB).toLowerCase();
-        }
+    UI.btnSaveFormula.addEventListener('click', () => saveFormulaFromEditor(false));
+    UI.btnSaveFormulaAs.addEventListener('click', () => saveFormulaFromEditor(true));
+    UI.btnDeleteFormula.addEventListener('click', deleteFormulaFromEditor);
+    UI.btnApplyFormula.addEventListener('click', () => {
+        const id = UI.formulaEditSelect.value;
+        localStorage.setItem(STORAGE_KEYS.activeFormula, id);
+        renderFormulaSelect();
+        runCalculation();
+        switchView('data');
+    });
 
-        if (valA < valB) return direction === 'asc' ? -1 : 1;
-        if (valA > valB) return direction === 'asc' ? 1 : -1;
-        return 0;
+    // Variable reference
+    const reference = (entries) => entries.map(([name, def]) => `<li><code>${name}</code> <span>${def.label}</span></li>`).join('');
+    UI.formulaReference.innerHTML = `
+        <h4>Campaign Fields</h4><ul>${reference(Object.entries(FORMULA_FIELDS))}</ul>
+        <h4>Sliders</h4><ul>${reference(Object.entries(FORMULA_SETTINGS))}</ul>
+        <h4>Functions</h4><ul>${Object.keys(FORMULA_FUNCTIONS).map(fn => `<li><code>${fn}(…)</code></li>`).join('')}</ul>
+        <h4>Operators</h4><p><code>+ - * / %</code> <code>&lt; &lt;= &gt; &gt;= == !=</code> <code>and or not</code> (or <code>&amp;&amp; || !</code>)</p>`;
+}
+
+function renderFormulaSelect() {
+    const formulas = getAllFormulas();
+    const activeId = getActiveFormula().id;
+    const options = formulas.map(f => `<option value="${escapeHtml(f.id)}">${escapeHtml(f.name)}${f.builtIn ? '' : ' (Custom)'}</option>`).join('');
+
+    UI.filterFormula.innerHTML = options;
+    UI.filterFormula.value = activeId;
+
+    if (UI.formulaEditSelect) {
+        const editing = UI.formulaEditSelect.value || activeId;
+        UI.formulaEditSelect.innerHTML = options;
+        UI.formulaEditSelect.value = formulas.some(f => f.id === editing) ? editing : activeId;
+    }
+}
+
+function formulaConditionRow(condition) {
+    return `<div class="formula-condition">
+        <input type="text" class="custom-select condition-name" placeholder="Condition name" value="${escapeHtml(condition.name || '')}">
+        <input type="text" class="custom-select condition-expr" placeholder="e.g. pacing >= pacingThreshold" value="${escapeHtml(condition.expr || '')}" spellcheck="false">
+        <button class="btn text-btn danger btn-remove-condition" title="Remove condition"><i data-lucide="x"></i></button>
+    </div>`;
+}
+
+function loadFormulaIntoEditor(formula) {
+    UI.formulaName.value = formula.name;
+    UI.formulaExpression.value = formula.expression;
+    UI.formulaConditions.innerHTML = (formula.conditions || []).map(formulaConditionRow).join('');
+    UI.btnSaveFormula.disabled = !!formula.builtIn;
+    UI.btnDeleteFormula.disabled = !!formula.builtIn;
+    if (window.lucide) lucide.createIcons();
+    previewFormula();
+}
+
+function readFormulaFromEditor() {
+    return {
+        name: UI.formulaName.value.trim(),
+        conditions: Array.from(UI.formulaConditions.querySelectorAll('.formula-condition')).map(row => ({
+            name: row.querySelector('.condition-name').value.trim(),
+            expr: row.querySelector('.condition-expr').value.trim()
+        })).filter(c => c.name || c.expr),
+        expression: UI.formulaExpression.value.trim()
+    };
+}
+
+// Validate the editor contents and show what they'd produce on the current filtered data
+function previewFormula() {
+    const draft = readFormulaFromEditor();
+    let compiled;
+    try {
+        compiled = compileFormula(draft);
+    } catch (error) {
+        UI.formulaStatus.innerHTML = `<span style="color:var(--danger); font-weight:500;">${escapeHtml(error.message)}</span>`;
+        return null;
+    }
+
+    const settings = { ...getCalcSettings(), formula: compiled };
+    let count = 0;
+    const totals = sumByCurrency(AppState.processedData, item => {
+        const opp = calculateOpportunity(item, settings);
+        if (opp > 0) count++;
+        return opp > 0 ? opp : 0;
     });
 
+    UI.formulaStatus.innerHTML = `<span style="color:var(--success); font-weight:500;">Valid.</span> On the current filters: ${count} qualifying campaigns, ${formatCurrencyTotals(totals)} total opportunity (before duplicate handling).`;
+    return compiled;
+}
 
-    // --- RENDERING ---
-    let headers = [];
-    let keys = [];
+function saveFormulaFromEditor(asNew) {
+    const draft = readFormulaFromEditor();
+    if (!draft.name) {
+        alert("Please give the formula a name.");
+        return;
+    }
+    if (!previewFormula()) {
+        alert("Please fix the formula errors before saving.");
+        return;
+    }
 
-    if (viewLevel === 'campaign') {
-        // Detailed View
-        keys = ['partner', 'advertiser', 'campaign', 'kpiType', 'avgKpiValue', 'goalValue', 'kpiPerfRatio', 'score', 'daysRemaining', 'pacing', 'incrementalBudget', 'calculatedOpportunity'];
-        headers = ['Partner', 'Advertiser', 'Campaign', 'Goal Type', 'Avg. KPI', 'Goal', 'KPI Perf.', 'Decision Power Score', 'Days', 'Pacing', 'Inc. Budget', 'Total Inc. Opp.'];
+    const customs = loadCustomFormulas();
+    const current = getAllFormulas().find(f => f.id === UI.formulaEditSelect.value);
+    let id;
+
+    if (asNew || !current || current.builtIn) {
+        id = `custom-${Date.now()}`;
+        customs.push({ id, ...draft });
     } else {
-        // Summary Views
-        if (viewLevel === 'advertiser') {
-            keys = ['name', 'partner', 'count', 'avgScore', 'incrementalBudget', 'calculatedOpportunity'];
-            headers = ['Advertiser', 'Partner', 'Campaigns', 'Avg. Decision Power Score', 'Total Inc. Budget', 'Total Inc. Opp.'];
-        } else {
-            // Partner
-            keys = ['name', 'count', 'avgScore', 'incrementalBudget', 'calculatedOpportunity'];
-            headers = ['Partner', 'Campaigns', 'Avg. Decision Power Score', 'Total Inc. Budget', 'Total Inc. Opp.'];
-        }
+        id = current.id;
+        const index = customs.findIndex(f => f.id === id);
+        customs[index] = { id, ...draft };
     }
 
-    // Header Generation
-    let htmlHead = '<tr>';
-    headers.forEach((h, index) => {
-        const key = keys[index];
-        const isSorted = sortKey === key;
-        const arrow = isSorted ? (direction === 'asc' ? '▲' : '▼') : '';
-        htmlHead += `<th style="cursor:pointer;" data-sort-key="${key}">${h} <span style="font-size:0.8rem; margin-left:4px;">${arrow}</span></th>`;
-    });
-    htmlHead += '</tr>';
-    UI.tableHead.innerHTML = htmlHead;
+    storeCustomFormulas(customs);
+    UI.formulaEditSelect.value = '';
+    renderFormulaSelect();
+    UI.formulaEditSelect.value = id;
+    loadFormulaIntoEditor(getAllFormulas().find(f => f.id === id));
 
-    // Attach listeners
-    const ths = UI.tableHead.querySelectorAll('th');
-    ths.forEach(th => {
-        th.addEventListener('click', () => {
-            const key = th.dataset.sortKey;
-            handleTableSort(key);
-        });
-    });
+    // Saving the active formula should update the numbers straight away
+    if (getActiveFormula().id === id) runCalculation();
+}
 
-    // Body Render
-    const subset = tableData.slice(0, 100);
+function deleteFormulaFromEditor() {
+    const id = UI.formulaEditSelect.value;
+    const formula = loadCustomFormulas().find(f => f.id === id);
+    if (!formula) return;
+    if (!confirm(`Delete formula "${formula.name}"?`)) return;
 
-    UI.tableBody.innerHTML = subset.map(item => {
-        if (viewLevel === 'campaign') {
-            // ... existing campaign row logic ...
-            // Use offGoal if available, else calc ratio (fallback)
-            let perfDisplay = '-';
-            if (item.offGoal !== undefined && !isNaN(item.offGoal)) {
-                perfDisplay = formatPercent(item.offGoal * 100, true); // true for keeping sign? formatPercent caps at 100? No, formatPercent caps logic is for PACING.
-                // We need a generic percent formatter.
-                perfDisplay = (Math.round(item.offGoal * 10000) / 100) + '%';
-            } else {
-                perfDisplay = item.kpiPerfRatio ? formatRatio(item.kpiPerfRatio) : '-';
-            }
+    storeCustomFormulas(loadCustomFormulas().filter(f => f.id !== id));
+    if (localStorage.getItem(STORAGE_KEYS.activeFormula) === id) {
+        localStorage.setItem(STORAGE_KEYS.activeFormula, DEFAULT_FORMULA_ID);
+    }
 
-            const color = item.beatingGoalBool ? 'var(--success)' : '#ef4444';
-            const formattedKpi = formatKpi(item.avgKpiValue, item.kpiType);
-            const formattedGoal = formatKpi(item.goalValue, item.kpiType);
+    UI.formulaEditSelect.value = '';
+    renderFormulaSelect();
+    loadFormulaIntoEditor(getActiveFormula());
+    runCalculation();
+}
 
-            const duplicateBadge = item.isDuplicate ?
-                `<span class="badge" style="background:var(--danger); color:white; font-size:0.7rem; margin-left:0.5rem;" title="Duplicate Campaign ID">Duplicate</span>`
-                : '';
+// --- KPI Types ---
+// Goal types are judged and formatted through one registry (DEFAULT_KPI_TYPES in engine.js)
+// instead of guessing from the name. Users can edit it in the KPI Types view.
+function getKpiType(goalType) {
+    return AppState.resolveKpiType(goalType);
+}
 
-            return `<tr>
-                <td>${item.partner || '-'}</td>
-                <td>${item.advertiser || '-'}</td>
-                <td><div style="max-width:200px; overflow:hidden; text-overflow:ellipsis;" title="${item.campaign}">
-                    ${item.campaignId ? `<a href="https://desk.thetradedesk.com/app/home/campaign/${item.campaignId}/performance" target="_blank" style="color:inherit; text-decoration:none; border-bottom:1px dotted var(--text-muted);" onmouseover="this.style.color='var(--primary)'" onmouseout="this.style.color='inherit'">${item.campaign || '-'}</a>` : (item.campaign || '-')}
-                    ${duplicateBadge}</div></td>
-                <td>${item.kpiType || item.decisioned || '-'}</td>
-                <td>${formattedKpi}</td>
-                <td>${formattedGoal}</td>
-                <td style="color:${color}; font-weight:500;">${perfDisplay}</td>
-                <td>${item.score || 0}</td>
-                <td>${item.daysRemaining || 0}</td>
-                <td>${formatPercent(item.pacing)}</td>
-                <td>${formatCurrency(item.incrementalBudget)}</td>
-                <td style="color: var(--success); font-weight:600;">${item.calculatedOpportunity > 0 ? formatCurrency(item.calculatedOpportunity) : '-'}</td>
+// Lower-is-better goals (CPA, CPC, CPM...): the KPI ratio should be below 1
+function isLowerBetterKpi(goalType) {
+    return getKpiType(goalType).lowerIsBetter;
+}
+
+function loadKpiTypes() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.kpiTypes) || 'null');
+        const valid = Array.isArray(stored) ? stored.filter(def => def && String(def.label || '').trim() && KPI_FORMATS[def.format]) : [];
+        return valid.length ? valid : DEFAULT_KPI_TYPES;
+    } catch (error) {
+        console.error(error);
+        return DEFAULT_KPI_TYPES;
+    }
+}
+
+function setKpiTypes(kpiTypes) {
+    AppState.kpiTypes = kpiTypes;
+    AppState.resolveKpiType = createKpiResolver(kpiTypes);
+}
+
+function setupKpiTypes() {
+    setKpiTypes(loadKpiTypes());
+    if (!UI.viewKpiTypes) return;
+
+    UI.btnViewKpiTypes.addEventListener('click', () => switchView('kpi-types'));
+    UI.btnBackDataKpiTypes.addEventListener('click', () => switchView('data'));
+
+    UI.btnAddKpiType.addEventListener('click', () => addKpiTypeRow({ label: '', aliases: [], lowerIsBetter: false, format: 'number' }));
+
+    UI.kpiTypeRows.addEventListener('click', (e) => {
+        const btn = e.target.closest('.btn-remove-kpi-type');
+        if (btn) btn.closest('.kpi-type-row').remove();
+    });
+
+    // "Add" next to a goal type from the file that nothing matches
+    UI.kpiTypesSeen.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-add-kpi-type]');
+        if (btn) addKpiTypeRow({ label: btn.dataset.addKpiType, aliases: [], lowerIsBetter: false, format: 'number' });
+    });
+
+    UI.btnSaveKpiTypes.addEventListener('click', saveKpiTypesFromEditor);
+    UI.btnResetKpiTypes.addEventListener('click', () => {
+        if (!confirm('Reset KPI types to the built-in list? Your changes will be lost.')) return;
+        localStorage.removeItem(STORAGE_KEYS.kpiTypes);
+        applyKpiTypes(DEFAULT_KPI_TYPES);
+    });
+}
+
+function kpiTypeRow(def) {
+    const formats = Object.entries(KPI_FORMATS).map(([key, label]) => `<option value="${key}"${def.format === key ? ' selected' : ''}>${label}</option>`).join('');
+    return `<tr class="kpi-type-row" data-id="${escapeHtml(def.id || '')}">
+        <td><input type="text" class="custom-select kpi-type-label" placeholder="e.g. CPA" value="${escapeHtml(def.label || '')}"></td>
+        <td><input type="text" class="custom-select kpi-type-aliases" placeholder="Other names, comma separated" value="${escapeHtml((def.aliases || []).join(', '))}"></td>
+        <td><select class="custom-select kpi-type-direction">
+            <option value="higher">Higher is better</option>
+            <option value="lower"${def.lowerIsBetter ? ' selected' : ''}>Lower is better</option>
+        </select></td>
+        <td><select class="custom-select kpi-type-format">${formats}</select></td>
+        <td><button class="btn text-btn danger btn-remove-kpi-type" title="Remove KPI type"><i data-lucide="x"></i></button></td>
+    </tr>`;
+}
+
+function addKpiTypeRow(def) {
+    UI.kpiTypeRows.insertAdjacentHTML('beforeend', kpiTypeRow(def));
+    if (window.lucide) lucide.createIcons();
+    UI.kpiTypeRows.lastElementChild.querySelector('.kpi-type-label').focus();
+}
+
+function renderKpiTypeEditor() {
+    UI.kpiTypeRows.innerHTML = AppState.kpiTypes.map(kpiTypeRow).join('');
+
+    // Goal types in the loaded file and what each one resolves to
+    const seen = new Map();
+    AppState.rawData.forEach(item => {
+        const type = String(item.kpiType || '').trim();
+        if (type) seen.set(type, (seen.get(type) || 0) + 1);
+    });
+
+    UI.kpiTypesSeen.innerHTML = seen.size === 0 ? '<p class="hint-text">Load a file to see which goal types it uses.</p>' :
+        `<ul>${Array.from(seen.entries()).sort((a, b) => b[1] - a[1]).map(([type, count]) => {
+            const def = getKpiType(type);
+            const match = def.label ?
+                `<span>→ ${escapeHtml(def.label)}${def.format === 'none' ? '' : ` (${def.lowerIsBetter ? 'lower' : 'higher'} is better)`}</span>` :
+                `<span style="color:var(--danger);">Not recognized, treated as higher is better</span>
+                 <button class="btn text-btn" data-add-kpi-type="${escapeHtml(type)}"><i data-lucide="plus"></i> Add</button>`;
+            return `<li><strong>${escapeHtml(type)}</strong> <span class="badge">${count}</span> ${match}</li>`;
+        }).join('')}</ul>`;
+
+    if (window.lucide) lucide.createIcons();
+}
+
+function readKpiTypesFromEditor() {
+    return Array.from(UI.kpiTypeRows.querySelectorAll('.kpi-type-row')).map(row => {
+        const label = row.querySelector('.kpi-type-label').value.trim();
+        return {
+            id: row.dataset.id || `custom-${sanitizeId(label)}`,
+            label,
+            lowerIsBetter: row.querySelector('.kpi-type-direction').value === 'lower',
+            format: row.querySelector('.kpi-type-format').value,
+            aliases: row.querySelector('.kpi-type-aliases').value.split(',').map(a => a.trim()).filter(Boolean)
+        };
+    }).filter(def => def.label || def.aliases.length);
+}
+
+function saveKpiTypesFromEditor() {
+    const kpiTypes = readKpiTypesFromEditor();
+    if (kpiTypes.some(def => !def.label)) {
+        alert("Every KPI type needs a name.");
+        return;
+    }
+
+    // A name may only point at one KPI type
+    const names = new Set();
+    for (const def of kpiTypes) {
+        for (const name of [def.label, ...def.aliases]) {
+            const key = name.toLowerCase();
+            if (names.has(key)) {
+                alert(`"${name}" is used by more than one KPI type.`);
+                return;
+            }
+            names.add(key);
+        }
+    }
+
+    localStorage.setItem(STORAGE_KEYS.kpiTypes, JSON.stringify(kpiTypes));
+    applyKpiTypes(kpiTypes);
+}
+
+// Switch to a new registry and re-judge the loaded data (beating goal depends on direction)
+function applyKpiTypes(kpiTypes) {
+    setKpiTypes(kpiTypes);
+
+    if (AppState.rawData.length) {
+        AppState.rawData.forEach(row => applyGoalStatus(row, AppState.resolveKpiType));
+        if (AppState.comparison) AppState.comparison.previousRows.forEach(row => applyGoalStatus(row, AppState.resolveKpiType));
+        runEngineTask('reclassify', { kpiTypes });
+        runCalculation();
+        saveSessionDataset();
+    }
+
+    renderKpiTypeEditor();
+}
+
+// --- Currency & Locale ---
+// Amounts are formatted in each row's own currency (mapped currency column) or, without
+// one, in the display currency. Amounts in different currencies are never added up for
+// display: totals are listed per currency and mixed datasets are flagged.
+function setupCurrencySettings() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.currencySettings) || '{}');
+        if (CURRENCY_OPTIONS.includes(stored.currency)) AppState.currencySettings.currency = stored.currency;
+        if (LOCALE_OPTIONS[stored.locale]) AppState.currencySettings.locale = stored.locale;
+    } catch (error) {
+        console.error(error);
+    }
+
+    if (!UI.settingCurrency) return;
+
+    UI.settingCurrency.innerHTML = CURRENCY_OPTIONS.map(code => `<option value="${code}">${code}</option>`).join('');
+    UI.settingLocale.innerHTML = Object.entries(LOCALE_OPTIONS).map(([code, label]) => `<option value="${code}">${label}</option>`).join('');
+    UI.settingCurrency.value = AppState.currencySettings.currency;
+    UI.settingLocale.value = AppState.currencySettings.locale;
+
+    const onChange = () => {
+        AppState.currencySettings = { currency: UI.settingCurrency.value, locale: UI.settingLocale.value };
+        localStorage.setItem(STORAGE_KEYS.currencySettings, JSON.stringify(AppState.currencySettings));
+        if (!AppState.rawData.length) return;
+        // The display currency is the reporting currency for FX conversion
+        if (AppState.fx.enabled) runCalculation();
+        else renderCalculation();
+    };
+    UI.settingCurrency.addEventListener('change', onChange);
+    UI.settingLocale.addEventListener('change', onChange);
+}
+
+function rowCurrency(item) {
+    return (item && item.currency) || AppState.currencySettings.currency;
+}
+
+// Converted amounts show what they were before conversion, e.g. "€2,100.00" under "$2,268.00"
+function originalAmount(item, value) {
+    if (!item.original || !value) return '';
+    return `<div class="original-amount">${formatCurrency(value / item.fxRate, item.original.currency)}</div>`;
+}
+
+// KPI values (e.g. a CPA) are never converted, so they stay in the row's own currency
+function kpiCurrency(item) {
+    return item.original ? item.original.currency : rowCurrency(item);
+}
+
+function getCurrencies(rows) {
+    return Array.from(new Set(rows.map(rowCurrency))).sort();
+}
+
+// { currency: total }, each amount added only to its own currency
+function sumByCurrency(rows, getValue) {
+    const totals = {};
+    rows.forEach(item => {
+        const value = getValue(item) || 0;
+        if (!value) return;
+        const currency = rowCurrency(item);
+        totals[currency] = (totals[currency] || 0) + value;
+    });
+    return totals;
+}
+
+// e.g. "€1,200.00 + $3,400.00", largest first
+function formatCurrencyTotals(totals) {
+    const entries = Object.entries(totals);
+    if (entries.length === 0) return formatCurrency(0);
+    return entries
+        .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+        .map(([currency, total]) => formatCurrency(total, currency))
+        .join(' + ');
+}
+
+// Excel number format showing the currency's symbol and decimals (JPY has none)
+function excelCurrencyFormat(currency) {
+    if (!currency) return '#,##0.00'; // Mixed currencies
+    const formatter = getCurrencyFormatter(currency);
+    const symbolPart = formatter.formatToParts(0).find(part => part.type === 'currency');
+    const decimals = formatter.resolvedOptions().maximumFractionDigits;
+    return `"${symbolPart ? symbolPart.value : currency}"#,##0${decimals ? '.' + '0'.repeat(decimals) : ''}`;
+}
+
+// --- FX Rates ---
+// Rates are entered against one base currency. Amounts are converted into the display
+// currency (the reporting currency) through cross rates, so any currency in the table can
+// be picked in the sidebar without re-entering rates.
+function setupFxRates() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.fxRates) || 'null');
+        if (stored && stored.rates && typeof stored.rates === 'object') {
+            AppState.fx = { enabled: !!stored.enabled, base: stored.base || 'USD', rates: stored.rates };
+        }
+    } catch (error) {
+        console.error(error);
+    }
+
+    if (!UI.viewFx) return;
+
+    UI.fxBase.innerHTML = CURRENCY_OPTIONS.map(code => `<option value="${code}">${code}</option>`).join('');
+
+    UI.btnFxRates.addEventListener('click', () => switchView('fx'));
+    UI.btnBackDataFx.addEventListener('click', () => switchView('data'));
+    UI.btnAddFxRate.addEventListener('click', () => addFxRateRow('', ''));
+    UI.fxBase.addEventListener('change', renderFxRateLabels);
+
+    UI.fxRateRows.addEventListener('click', (e) => {
+        const btn = e.target.closest('.btn-remove-fx-rate');
+        if (btn) btn.closest('.fx-rate-row').remove();
+    });
+
+    UI.fxCurrenciesSeen.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-add-fx-rate]');
+        if (btn) addFxRateRow(btn.dataset.addFxRate, '');
+    });
+
+    UI.btnImportFx.addEventListener('click', () => UI.fxImportInput.click());
+    UI.fxImportInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) readWorkbook(file, importFxRates);
+    });
+
+    UI.btnSaveFx.addEventListener('click', saveFxRatesFromEditor);
+}
+
+// The { currency, rates } handed to applyFxRates, or null when not converting
+function getFxConversion() {
+    const { enabled, base, rates } = AppState.fx;
+    if (!enabled) return null;
+
+    const rateToBase = code => code === base ? 1 : rates[code];
+    const reporting = AppState.currencySettings.currency;
+    const reportingRate = rateToBase(reporting);
+    if (!(reportingRate > 0)) return null; // No rate for the reporting currency itself
+
+    const converted = {};
+    [base, ...Object.keys(rates)].forEach(code => {
+        if (rateToBase(code) > 0) converted[code] = rateToBase(code) / reportingRate;
+    });
+    return { currency: reporting, rates: converted };
+}
+
+function fxRateRow(code, rate) {
+    return `<tr class="fx-rate-row">
+        <td><input type="text" class="custom-select fx-rate-code" placeholder="e.g. EUR" maxlength="3" value="${escapeHtml(code)}"></td>
+        <td><input type="number" class="custom-select fx-rate-value" min="0" step="any" placeholder="e.g. 1.08" value="${escapeHtml(rate)}"></td>
+        <td class="fx-rate-label hint-text"></td>
+        <td><button class="btn text-btn danger btn-remove-fx-rate" title="Remove rate"><i data-lucide="x"></i></button></td>
+    </tr>`;
+}
+
+function addFxRateRow(code, rate) {
+    UI.fxRateRows.insertAdjacentHTML('beforeend', fxRateRow(code, rate));
+    renderFxRateLabels();
+    if (window.lucide) lucide.createIcons();
+    UI.fxRateRows.lastElementChild.querySelector(code ? '.fx-rate-value' : '.fx-rate-code').focus();
+}
+
+// "USD per 1 EUR" next to each rate, following the chosen base
+function renderFxRateLabels() {
+    UI.fxRateRows.querySelectorAll('.fx-rate-row').forEach(row => {
+        const code = row.querySelector('.fx-rate-code').value.trim().toUpperCase() || '…';
+        row.querySelector('.fx-rate-label').textContent = `${UI.fxBase.value} per 1 ${code}`;
+    });
+}
+
+function renderFxEditor() {
+    const { enabled, base, rates } = AppState.fx;
+    UI.fxEnabled.checked = enabled;
+    UI.fxBase.value = base;
+    UI.fxRateRows.innerHTML = Object.entries(rates).map(([code, rate]) => fxRateRow(code, rate)).join('');
+    renderFxRateLabels();
+
+    // Currencies in the loaded data, before conversion
+    const rows = AppState.comparison ? [...AppState.rawData, ...AppState.comparison.previousRows] : AppState.rawData;
+    const seen = new Map();
+    rows.forEach(item => {
+        const code = item.original ? item.original.currency : rowCurrency(item);
+        seen.set(code, (seen.get(code) || 0) + 1);
+    });
+
+    const hasRate = code => code === base || rates[code] > 0;
+    UI.fxCurrenciesSeen.innerHTML = seen.size === 0 ? '<p class="hint-text">Load a file with a Currency column to see its currencies.</p>' :
+        `<ul>${Array.from(seen.entries()).sort((a, b) => b[1] - a[1]).map(([code, count]) => `<li>
+            <strong>${escapeHtml(code)}</strong> <span class="badge">${count}</span>
+            ${hasRate(code) ? '<span>rate set</span>' :
+                `<span style="color:var(--danger);">no rate</span> <button class="btn text-btn" data-add-fx-rate="${escapeHtml(code)}"><i data-lucide="plus"></i> Add</button>`}
+        </li>`).join('')}</ul>`;
+
+    const reporting = AppState.currencySettings.currency;
+    if (enabled && !getFxConversion()) {
+        UI.fxStatus.innerHTML = `<span style="color:var(--danger);">No rate for ${escapeHtml(reporting)} (the reporting currency picked in the sidebar), so nothing is converted.</span>`;
+    } else {
+        UI.fxStatus.textContent = enabled ? `Amounts are converted to ${reporting}, the currency picked in the sidebar. Originals stay visible in the campaign view.` :
+            `Conversion is off. Amounts are shown in their own currency.`;
+    }
+
+    if (window.lucide) lucide.createIcons();
+}
+
+function readFxRatesFromEditor() {
+    const rates = {};
+    const invalid = [];
+    UI.fxRateRows.querySelectorAll('.fx-rate-row').forEach(row => {
+        const code = row.querySelector('.fx-rate-code').value.trim().toUpperCase();
+        const rate = parseFloat(row.querySelector('.fx-rate-value').value);
+        if (!code && isNaN(rate)) return;
+        if (!/^[A-Z]{3}$/.test(code) || !(rate > 0)) invalid.push(code || '(blank)');
+        else rates[code] = rate;
+    });
+    return { rates, invalid };
+}
+
+function saveFxRatesFromEditor() {
+    const { rates, invalid } = readFxRatesFromEditor();
+    if (invalid.length) {
+        alert(`Please enter a 3-letter currency code and a rate above 0 for: ${invalid.join(', ')}`);
+        return;
+    }
+
+    AppState.fx = { enabled: UI.fxEnabled.checked, base: UI.fxBase.value, rates };
+    delete AppState.fx.rates[AppState.fx.base]; // The base is always 1
+    localStorage.setItem(STORAGE_KEYS.fxRates, JSON.stringify(AppState.fx));
+
+    if (AppState.rawData.length) runCalculation();
+    renderFxEditor();
+}
+
+// Rate table from a sheet with a currency column and a rate column (e.g. "Currency, Rate")
+function importFxRates(workbook) {
+    const rows = workbook.sheets[workbook.sheetNames[0]] || [];
+    const headers = rows.length ? Object.keys(rows[0]) : [];
+    const codeHeader = headers.find(h => /curr|code|from/i.test(h)) || headers[0];
+    const rateHeader = headers.find(h => h !== codeHeader && /rate|fx|value/i.test(h)) || headers.find(h => h !== codeHeader);
+
+    let imported = 0;
+    rows.forEach(row => {
+        const code = String(row[codeHeader] || '').trim().toUpperCase();
+        const rate = parseFloat(String(row[rateHeader]).replace(/,/g, ''));
+        if (!/^[A-Z]{3}$/.test(code) || !(rate > 0)) return;
+
+        const existing = Array.from(UI.fxRateRows.querySelectorAll('.fx-rate-row'))
+            .find(r => r.querySelector('.fx-rate-code').value.trim().toUpperCase() === code);
+        if (existing) existing.querySelector('.fx-rate-value').value = rate;
+        else UI.fxRateRows.insertAdjacentHTML('beforeend', fxRateRow(code, rate));
+        imported++;
+    });
+
+    if (imported === 0) {
+        alert("No rates found. Use a sheet with a currency code column and a rate column.");
+        return;
+    }
+
+    renderFxRateLabels();
+    if (window.lucide) lucide.createIcons();
+    alert(`Imported ${imported} rates. Check the base currency, then Save & Apply.`);
+}
+
+// Collapse rows sharing a campaign name according to the Duplicate Handling mode
+function applyDuplicateHandling(data, dupFilter) {
+    let displayData = data;
+
+    if (dupFilter !== 'none') {
+        const uniqueMap = new Map();
+        displayData.forEach(item => {
+            const key = item.campaign;
+            if (!uniqueMap.has(key)) {
+                uniqueMap.set(key, item);
+            } else {
+                const existing = uniqueMap.get(key);
+                let replace = false;
+
+                if (dupFilter === 'max-opp') {
+                    // Highest Opportunity Wins
+                    if (item.calculatedOpportunity > existing.calculatedOpportunity) {
+                        replace = true;
+                    } else if (item.calculatedOpportunity === existing.calculatedOpportunity) {
+                        // Tie breaker: maybe spend risk? or budget?
+                        if ((item.incrementalBudget || 0) > (existing.incrementalBudget || 0)) replace = true;
+                    }
+                } else if (dupFilter === 'best-perf') {
+                    // Best KPI Performance Wins
+                    const isCost = isLowerBetterKpi(item.kpiType);
+
+                    if (isCost) {
+                        // Lower Ratio is Better
+                        if (item.kpiPerfRatio < existing.kpiPerfRatio) replace = true;
+                    } else {
+                        // Higher Ratio is Better
+                        if (item.kpiPerfRatio > existing.kpiPerfRatio) replace = true;
+                    }
+                }
+                if (replace) uniqueMap.set(key, item);
+            }
+        });
+        displayData = Array.from(uniqueMap.values());
+    }
+
+    return displayData;
+}
+
+
+// --- Rendering ---
+function updateStats(data) {
+    UI.statTotal.textContent = data.length;
+    UI.statQualifying.textContent = AppState.meta.qualifyingCount;
+    UI.statOpportunity.textContent = formatCurrencyTotals(AppState.meta.opportunityByCurrency || {});
+
+    if (UI.statUnderPacing) UI.statUnderPacing.textContent = AppState.meta.underPacingCount;
+    if (UI.statSpendRisk) UI.statSpendRisk.textContent = formatCurrencyTotals(AppState.meta.spendRiskByCurrency || {});
+    if (UI.statProjectedUnspent) UI.statProjectedUnspent.textContent = formatCurrencyTotals(AppState.meta.projectedUnspentByCurrency || {});
+
+    if (UI.currencyWarning) {
+        const currencies = getCurrencies(data);
+        UI.currencyWarning.classList.toggle('hidden', currencies.length < 2);
+        UI.currencyWarning.innerHTML = `<i data-lucide="coins" width="16" height="16"></i>
+            <span><strong>Mixed currencies (${currencies.map(escapeHtml).join(', ')}).</strong> Totals, summary rows, charts and scenarios are split by currency;
+            filter or group the pivot by Currency, or set FX rates, to compare them.</span>`;
+        if (window.lucide) lucide.createIcons();
+    }
+}
+
+function handleTableSort(key) {
+    if (AppState.sortConfig.key === key) {
+        // Toggle direction
+        AppState.sortConfig.direction = AppState.sortConfig.direction === 'asc' ? 'desc' : 'asc';
+    } else {
+        // New key, default to desc for numbers? or asc for text?
+        // Let's standard default to desc for easier view of 'top' items
+        AppState.sortConfig.key = key;
+        AppState.sortConfig.direction = 'desc';
+    }
+    AppState.pagination.page = 1;
+    // Re-render
+    renderTable(AppState.displayData);
+}
+
+function renderTable(data) {
+    scheduleViewStateSave();
+    updateUrlHash();
+    const viewLevel = UI.viewLevelSelect ? UI.viewLevelSelect.value : 'campaign';
+
+    UI.tableTitle.textContent = 'Campaign Dataset';
+    if (UI.comparisonSummary) UI.comparisonSummary.classList.add('hidden');
+    if (UI.pivotConfig) UI.pivotConfig.classList.toggle('hidden', viewLevel !== 'pivot');
+    UI.tableBody.closest('table').removeAttribute('role'); // The pivot marks itself as a treegrid
+    AppState.tableExport = null;
+
+    if (viewLevel === 'pivot') {
+        renderPivotView(data);
+        return;
+    }
+
+    if (viewLevel === 'comparison') {
+        renderComparisonView(data);
+        return;
+    }
+
+    // --- AGGREGATION LOGIC ---
+    let tableData = data;
+
+    // Campaign rows show their currency when the file has a currency column;
+    // summary rows are split per currency whenever the data mixes currencies
+    const isMixedCurrency = getCurrencies(data).length > 1;
+    const showCurrency = viewLevel === 'campaign' ? !!AppState.fieldMap.currency : isMixedCurrency;
+    const showFx = viewLevel === 'campaign' && data.some(item => item.original);
+
+    if (viewLevel !== 'campaign') {
+        // Aggregation needed
+        const groups = {};
+        const context = getCalcThresholds(); // Read the sliders once, not per row
+
+        data.forEach(item => {
+            const name = item[viewLevel] || 'Unknown';
+            const key = isMixedCurrency ? `${name}\u001f${rowCurrency(item)}` : name;
+            if (!groups[key]) {
+                groups[key] = {
+                    name,
+                    currency: rowCurrency(item),
+                    partner: item.partner, // fallback for advertiser view
+                    metrics: createMetrics(), // Same running totals as the pivot (budget-weighted KPI, pacing, ...)
+                    byKpiType: {} // KPI performance isn't comparable across types, so also keep it per type
+                };
+            }
+
+            const group = groups[key];
+            accumulateMetrics(group.metrics, item, context);
+
+            const kpiType = item.kpiType || 'Unknown';
+            if (!group.byKpiType[kpiType]) group.byKpiType[kpiType] = createMetrics();
+            accumulateMetrics(group.byKpiType[kpiType], item, context);
+        });
+
+        // Convert back to array
+        tableData = Object.values(groups).map(g => ({
+            name: g.name,
+            partner: g.partner,
+            currency: g.currency,
+            count: g.metrics.count.total,
+            calculatedOpportunity: pivotMetricValue(g.metrics, 'calculatedOpportunity'),
+            incrementalBudget: pivotMetricValue(g.metrics, 'incrementalBudget'),
+            avgScore: Math.round(pivotMetricValue(g.metrics, 'score')),
+            kpiPerformance: pivotMetricValue(g.metrics, 'kpiPerformance'),
+            kpiByType: formatKpiPerformanceByType(g.byKpiType),
+            beatingGoalShare: pivotMetricValue(g.metrics, 'beatingGoalShare'),
+            weightedPacing: pivotMetricValue(g.metrics, 'weightedPacing'),
+            spendRisk: pivotMetricValue(g.metrics, 'spendRisk'),
+            projectedDelivery: pivotMetricValue(g.metrics, 'projectedDelivery'),
+            projectedUnspent: pivotMetricValue(g.metrics, 'projectedUnspent')
+        }));
+    }
+
+
+    // --- SORTING LOGIC ---
+    const { key: sortKey, direction } = AppState.sortConfig;
+
+    // Safety check: if sort key doesn't exist in aggregated data (e.g. 'pacing'), fallback
+    // But 'calculatedOpportunity' exists in both.
+    sortRows(tableData, AppState.sortConfig);
+
+    // --- RENDERING ---
+    let headers = [];
+    let keys = [];
+
+    if (viewLevel === 'campaign') {
+        // Detailed View
+        keys = ['partner', 'advertiser', 'campaign', 'kpiType', 'avgKpiValue', 'goalValue', 'kpiPerfRatio', 'score', 'daysRemaining', 'pacing', 'incrementalBudget', 'calculatedOpportunity', 'projectedDelivery', 'projectedUnspent'];
+        headers = ['Partner', 'Advertiser', 'Campaign', 'Goal Type', 'Avg. KPI', 'Goal', 'KPI Perf.', 'Decision Power Score', 'Days', 'Pacing', 'Inc. Budget', 'Total Inc. Opp.', 'Proj. Delivery', 'Proj. Unspent'];
+    } else {
+        // Summary Views
+        // KPI performance and pacing are weighted by each campaign's daily incremental budget
+        const summaryKeys = ['count', 'avgScore', 'kpiPerformance', 'kpiByType', 'beatingGoalShare', 'weightedPacing', 'incrementalBudget', 'calculatedOpportunity', 'spendRisk', 'projectedDelivery', 'projectedUnspent'];
+        const summaryHeaders = ['Campaigns', 'Avg. Decision Power Score', 'KPI Perf. (weighted)', 'KPI Perf. by Type', '% Beating Goal', 'Pacing (weighted)', 'Total Inc. Budget', 'Total Inc. Opp.', 'Daily Spend Risk', 'Projected Delivery', 'Projected Unspent'];
+        if (viewLevel === 'advertiser') {
+            keys = ['name', 'partner', ...summaryKeys];
+            headers = ['Advertiser', 'Partner', ...summaryHeaders];
+        } else {
+            // Partner
+            keys = ['name', ...summaryKeys];
+            headers = ['Partner', ...summaryHeaders];
+        }
+    }
+
+    if (showCurrency) {
+        keys.push('currency');
+        headers.push('Currency');
+    }
+    if (showFx) {
+        keys.push('originalCurrency', 'fxRate');
+        headers.push('Original Currency', 'FX Rate');
+    }
+
+    // Header Generation
+    let htmlHead = '<tr>';
+    AppState.tableExport = { name: viewLevel, columns: buildExportColumns(keys, headers), rows: tableData };
+
+    headers.forEach((h, index) => {
+        const key = keys[index];
+        const isSorted = sortKey === key;
+        const arrow = isSorted ? (direction === 'asc' ? '▲' : '▼') : '';
+        htmlHead += `<th style="cursor:pointer;" data-sort-key="${key}">${h} <span style="font-size:0.8rem; margin-left:4px;">${arrow}</span></th>`;
+    });
+    htmlHead += '</tr>';
+    UI.tableHead.innerHTML = htmlHead;
+
+    // Attach listeners
+    const ths = UI.tableHead.querySelectorAll('th');
+    ths.forEach(th => {
+        th.addEventListener('click', () => {
+            const key = th.dataset.sortKey;
+            handleTableSort(key);
+        });
+    });
+
+    // Body Render
+    const { start, end } = getPageRange(tableData.length);
+    const subset = tableData.slice(start, end);
+
+    UI.tableBody.innerHTML = subset.map(item => {
+        if (viewLevel === 'campaign') {
+            // ... existing campaign row logic ...
+            // Use offGoal if available, else calc ratio (fallback)
+            let perfDisplay = '-';
+            if (item.offGoal !== undefined && !isNaN(item.offGoal)) {
+                perfDisplay = formatPercent(item.offGoal * 100, true); // true for keeping sign? formatPercent caps at 100? No, formatPercent caps logic is for PACING.
+                // We need a generic percent formatter.
+                perfDisplay = (Math.round(item.offGoal * 10000) / 100) + '%';
+            } else {
+                perfDisplay = item.kpiPerfRatio ? formatRatio(item.kpiPerfRatio) : '-';
+            }
+
+            const color = item.beatingGoalBool ? 'var(--success)' : '#ef4444';
+            const formattedKpi = formatKpi(item.avgKpiValue, item.kpiType, kpiCurrency(item));
+            const formattedGoal = formatKpi(item.goalValue, item.kpiType, kpiCurrency(item));
+
+            const duplicateBadge = item.isDuplicate ?
+                `<span class="badge" style="background:var(--danger); color:white; font-size:0.7rem; margin-left:0.5rem;" title="Duplicate Campaign ID">Duplicate</span>`
+                : '';
+
+            return `<tr>
+                <td>${item.partner || '-'}</td>
+                <td>${item.advertiser || '-'}</td>
+                <td><div style="max-width:200px; overflow:hidden; text-overflow:ellipsis;" title="${item.campaign}">
+                    ${item.campaignId ? `<a href="https://desk.thetradedesk.com/app/home/campaign/${item.campaignId}/performance" target="_blank" style="color:inherit; text-decoration:none; border-bottom:1px dotted var(--text-muted);" onmouseover="this.style.color='var(--primary)'" onmouseout="this.style.color='inherit'">${item.campaign || '-'}</a>` : (item.campaign || '-')}
+                    ${duplicateBadge}</div></td>
+                <td>${item.kpiType || item.decisioned || '-'}</td>
+                <td>${formattedKpi}</td>
+                <td>${formattedGoal}</td>
+                <td style="color:${color}; font-weight:500;">${perfDisplay}</td>
+                <td>${item.score || 0}</td>
+                <td>${item.daysRemaining || 0}</td>
+                <td>${formatPercent(item.pacing)}</td>
+                <td>${formatCurrency(item.incrementalBudget, rowCurrency(item))}${originalAmount(item, item.incrementalBudget)}</td>
+                <td style="color: var(--success); font-weight:600;">${item.calculatedOpportunity > 0 ? formatCurrency(item.calculatedOpportunity, rowCurrency(item)) + originalAmount(item, item.calculatedOpportunity) : '-'}</td>
+                <td>${item.projectedDelivery === null || item.projectedDelivery === undefined ? '-' : formatPercent(item.projectedDelivery)}</td>
+                <td style="color: var(--danger);">${item.projectedUnspent > 0 ? formatCurrency(item.projectedUnspent, rowCurrency(item)) + originalAmount(item, item.projectedUnspent) : '-'}</td>
+                ${showCurrency ? `<td>${escapeHtml(rowCurrency(item))}</td>` : ''}
+                ${showFx ? `<td>${item.original ? escapeHtml(item.original.currency) : '-'}</td><td>${item.fxRate ? formatNumber(item.fxRate) : '-'}</td>` : ''}
             </tr>`;
         } else {
-            // Summary Row
-            // Re-use logic for Advertiser/Partner
-            let row = '<tr>';
-            row += `<td><span style="font-weight:600;">${item.name || 'Unknown'}</span></td>`;
-            if (viewLevel === 'advertiser') {
-                row += `<td>${item.partner || '-'}</td>`;
-            }
-            row += `<td>${item.count}</td>`;
-            row += `<td>${item.avgScore}</td>`;
-            row += `<td>${formatCurrency(item.incrementalBudget)}</td>`;
-            row += `<td style="color: var(--success); font-weight:600;">${formatCurrency(item.calculatedOpportunity)}</td>`;
-            row += '</tr>';
-            return row;
+            // Summary Row
+            // Re-use logic for Advertiser/Partner
+            let row = '<tr>';
+            row += `<td><span style="font-weight:600;">${item.name || 'Unknown'}</span></td>`;
+            if (viewLevel === 'advertiser') {
+                row += `<td>${item.partner || '-'}</td>`;
+            }
+            row += `<td>${item.count}</td>`;
+            row += `<td>${item.avgScore}</td>`;
+            row += item.kpiPerformance === null ? '<td>-</td>' :
+                `<td style="color:${item.kpiPerformance >= 1 ? 'var(--success)' : '#ef4444'}; font-weight:500;">${formatRatio(item.kpiPerformance)}</td>`;
+            row += `<td style="font-size:0.85rem; color:var(--text-muted); white-space:nowrap;">${escapeHtml(item.kpiByType) || '-'}</td>`;
+            row += `<td>${formatRatio(item.beatingGoalShare)}</td>`;
+            row += `<td>${formatPercent(item.weightedPacing)}</td>`;
+            row += `<td>${formatCurrency(item.incrementalBudget, item.currency)}</td>`;
+            row += `<td style="color: var(--success); font-weight:600;">${formatCurrency(item.calculatedOpportunity, item.currency)}</td>`;
+            row += `<td style="color: var(--danger);">${item.spendRisk < 0 ? formatCurrency(item.spendRisk, item.currency) : '-'}</td>`;
+            row += `<td>${item.projectedDelivery === null ? '-' : formatPercent(item.projectedDelivery)}</td>`;
+            row += `<td style="color: var(--danger);">${item.projectedUnspent > 0 ? formatCurrency(item.projectedUnspent, item.currency) : '-'}</td>`;
+            if (showCurrency) row += `<td>${escapeHtml(item.currency)}</td>`;
+            row += '</tr>';
+            return row;
+        }
+    }).join('');
+
+    renderPagination(tableData.length, true);
+}
+
+// --- Pagination ---
+function setupPagination() {
+    if (!UI.tablePagination) return;
+
+    UI.tablePagination.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-page]');
+        if (!btn || btn.disabled) return;
+
+        const target = btn.getAttribute('data-page');
+        const { page } = AppState.pagination;
+        if (target === 'first') AppState.pagination.page = 1;
+        else if (target === 'prev') AppState.pagination.page = page - 1;
+        else if (target === 'next') AppState.pagination.page = page + 1;
+        else if (target === 'last') AppState.pagination.page = Infinity; // clamped in getPageRange
+
+        renderTable(AppState.displayData);
+        UI.tableBody.closest('.table-wrapper').scrollTop = 0;
+    });
+
+    UI.pageSizeSelect.addEventListener('change', () => {
+        // Keep the first visible row on screen when the page size changes
+        const firstRow = (AppState.pagination.page - 1) * AppState.pagination.pageSize;
+        AppState.pagination.pageSize = parseInt(UI.pageSizeSelect.value);
+        AppState.pagination.page = Math.floor(firstRow / AppState.pagination.pageSize) + 1;
+        renderTable(AppState.displayData);
+    });
+}
+
+// Clamp the current page to the data and return the slice bounds
+function getPageRange(total) {
+    const { pageSize } = AppState.pagination;
+    const pageCount = Math.max(1, Math.ceil(total / pageSize));
+    AppState.pagination.page = Math.min(Math.max(1, AppState.pagination.page), pageCount);
+
+    const start = (AppState.pagination.page - 1) * pageSize;
+    return { start, end: Math.min(start + pageSize, total), pageCount };
+}
+
+function renderPagination(total, paged) {
+    if (!paged || !UI.tablePagination) {
+        if (UI.tablePagination) UI.tablePagination.classList.add('hidden');
+        UI.recordCount.textContent = `${total} records`;
+        return;
+    }
+
+    const { start, end, pageCount } = getPageRange(total);
+    const { page } = AppState.pagination;
+
+    UI.recordCount.textContent = pageCount === 1 ? `${total} records` :
+        `${formatNumber(start + 1)}–${formatNumber(end)} of ${formatNumber(total)} records`;
+
+    UI.tablePagination.classList.toggle('hidden', total <= AppState.pagination.pageSize);
+    UI.pageInfo.textContent = `Page ${formatNumber(page)} of ${formatNumber(pageCount)}`;
+    UI.tablePagination.querySelectorAll('[data-page="first"], [data-page="prev"]').forEach(btn => btn.disabled = page <= 1);
+    UI.tablePagination.querySelectorAll('[data-page="next"], [data-page="last"]').forEach(btn => btn.disabled = page >= pageCount);
+}
+
+function sortRows(rows, sortConfig) {
+    const { key: sortKey, direction } = sortConfig;
+
+    return rows.sort((a, b) => {
+        let valA = a[sortKey];
+        let valB = b[sortKey];
+
+        // Handle fallback logic for missing keys in aggregate view
+        if (valA === undefined) valA = 0;
+        if (valB === undefined) valB = 0;
+
+        const isString = typeof valA === 'string' || typeof valB === 'string';
+        if (isString) {
+            valA = String(valA).toLowerCase();
+            valB = String(valB).toLowerCase();
+        }
+
+        if (valA < valB) return direction === 'asc' ? -1 : 1;
+        if (valA > valB) return direction === 'asc' ? 1 : -1;
+        return 0;
+    });
+}
+
+function renderPivotView(data) {
+    const { dimensions, metrics } = AppState.pivotConfig;
+    // Slider settings some metrics depend on, read once for the whole render
+    const context = getCalcThresholds();
+    if (UI.pivotMetrics) renderPivotMetricLabels(context); // Min Pacing may have moved
+
+    // 1. Build Hierarchy
+    // One level per chosen dimension (e.g. Partner -> Advertiser), campaigns as leaves
+    const tree = buildPivotTree(data, dimensions, context);
+
+    // 2. Sort Hierarchy
+    const sortConfig = AppState.sortConfig; // e.g. calculatedOpportunity desc
+    const sortMetric = PIVOT_METRICS[sortConfig.key];
+    const sortFn = (a, b) => {
+        let valA, valB;
+        if (sortMetric) {
+            valA = a.metrics ? pivotMetricValue(a.metrics, sortConfig.key) : sortMetric.value(a, context);
+            valB = b.metrics ? pivotMetricValue(b.metrics, sortConfig.key) : sortMetric.value(b, context);
+            valA = valA || 0;
+            valB = valB || 0;
+        } else {
+            // Anything else sorts by name
+            valA = String(a.name || a.campaign || '').toLowerCase();
+            valB = String(b.name || b.campaign || '').toLowerCase();
+        }
+
+        if (valA < valB) return sortConfig.direction === 'asc' ? -1 : 1;
+        if (valA > valB) return sortConfig.direction === 'asc' ? 1 : -1;
+        return 0;
+    };
+    sortPivotTree(tree, sortFn);
+
+    // Flattened hierarchy in display order, for export
+    const exportRows = [];
+    const collectExportRows = (nodes, path) => {
+        nodes.forEach(node => {
+            const row = { ...path, [dimensions[node.depth]]: node.name, level: PIVOT_DIMENSIONS[dimensions[node.depth]].label, currency: node.currency };
+            metrics.forEach(key => row[key] = pivotMetricValue(node.metrics, key));
+            exportRows.push(row);
+
+            if (node.groups.length) {
+                collectExportRows(node.groups, { ...path, [dimensions[node.depth]]: node.name });
+            } else {
+                node.campaigns.forEach(c => {
+                    const leaf = { ...path, [dimensions[node.depth]]: node.name, level: 'Campaign', campaign: c.campaign, currency: rowCurrency(c) };
+                    metrics.forEach(key => leaf[key] = PIVOT_METRICS[key].value(c, context));
+                    exportRows.push(leaf);
+                });
+            }
+        });
+    };
+    collectExportRows(tree, {});
+
+    // Dimension columns hold the group names as-is (not the campaign-table display value)
+    const exportColumns = buildExportColumns(
+        ['level', ...dimensions, 'campaign', ...metrics],
+        ['Level', ...dimensions.map(d => PIVOT_DIMENSIONS[d].label), 'Campaign', ...metrics.map(m => pivotMetricLabel(m, context))]
+    ).map(column => dimensions.includes(column.key) ? { ...column, format: 'text', value: row => row[column.key] } : column);
+    AppState.tableExport = { name: 'pivot', columns: exportColumns, rows: exportRows };
+
+    // 3. Render
+    // Headers
+    const headers = [
+        { key: 'name', label: [...dimensions.map(d => PIVOT_DIMENSIONS[d].label), 'Campaign'].join(' → ') },
+        ...metrics.map(key => ({ key, label: pivotMetricLabel(key, context) }))
+    ];
+
+    let htmlHead = '<tr>';
+    headers.forEach(h => {
+        const isSorted = sortConfig.key === h.key || (h.key === 'name' && !sortMetric);
+        const arrow = isSorted ? (sortConfig.direction === 'asc' ? '▲' : '▼') : '';
+        htmlHead += `<th style="cursor:pointer;" data-sort-key="${h.key}">${h.label} <span style="font-size:0.8rem; margin-left:4px;">${arrow}</span></th>`;
+    });
+    htmlHead += '</tr>';
+    UI.tableHead.innerHTML = htmlHead;
+
+    // Attach sort listeners
+    UI.tableHead.querySelectorAll('th').forEach(th => {
+        th.addEventListener('click', () => {
+            handleTableSort(th.dataset.sortKey);
+        });
+    });
+
+    // Body logic
+    const campaignLevel = dimensions.length + 1;
+    const metricCell = (key, value, isGroup, currency) => {
+        const metric = PIVOT_METRICS[key];
+        const tone = metric.tone ? `color:var(--${metric.tone});${isGroup ? ' font-weight:600;' : ''}` : '';
+        return `<td style="${tone}">${formatPivotMetric(key, value, currency)}</td>`;
+    };
+
+    // Rows are shown when every ancestor is expanded (AppState.pivotExpanded survives re-renders)
+    const renderNodes = (nodes, visible) => nodes.map(node => {
+        const level = node.depth + 1;
+        const isTop = node.depth === 0;
+        const isExpanded = AppState.pivotExpanded.has(node.key);
+        let html = `<tr id="${node.id}" class="pivot-row level-${level}${visible ? '' : ' hidden'}" role="row" tabindex="-1" aria-level="${level}" aria-expanded="${isExpanded}" data-level="${level}" data-key="${escapeHtml(node.key)}" data-expanded="${isExpanded}" onclick="togglePivotRow('${node.id}')" style="cursor:pointer;${isTop ? ' background:rgba(0,0,0,0.02);' : ''}">
+            <td style="${isTop ? 'font-weight:700; color:var(--primary);' : `padding-left:${node.depth * 2.5}rem; font-weight:600;`}">
+                <div style="display:flex; align-items:center; gap:0.5rem;">
+                    <span class="pivot-icon"><i data-lucide="${isExpanded ? 'chevron-down' : 'chevron-right'}" width="16" height="16"></i></span>
+                    ${escapeHtml(node.name)} <span class="badge" style="font-size:0.75rem;${isTop ? '' : ' background:rgba(0,0,0,0.05);'}">${node.metrics.count.total}</span>
+                </div>
+            </td>
+            ${metrics.map(key => metricCell(key, pivotMetricValue(node.metrics, key), true, node.currency)).join('')}
+        </tr>`;
+
+        const childrenVisible = visible && isExpanded;
+        if (node.groups.length) {
+            html += renderNodes(node.groups, childrenVisible);
+        } else {
+            html += node.campaigns.map(c => `<tr class="pivot-row level-${campaignLevel}${childrenVisible ? '' : ' hidden'}" role="row" tabindex="-1" aria-level="${campaignLevel}" data-level="${campaignLevel}" style="background:rgba(255,255,255,0.5);">
+                <td style="padding-left:${dimensions.length * 2.5}rem; font-size:0.9rem;">
+                    ${c.campaignId ? `<a href="https://desk.thetradedesk.com/app/home/campaign/${escapeHtml(c.campaignId)}/performance" target="_blank" style="color:inherit; text-decoration:none; border-bottom:1px dotted var(--text-muted);" onmouseover="this.style.color='var(--primary)'" onmouseout="this.style.color='inherit'">${escapeHtml(c.campaign)}</a>` : escapeHtml(c.campaign)}
+                </td>
+                ${metrics.map(key => metricCell(key, PIVOT_METRICS[key].value(c, context), false, rowCurrency(c))).join('')}
+            </tr>`).join('');
+        }
+
+        return html;
+    }).join('');
+
+    UI.tableBody.innerHTML = renderNodes(tree, true);
+    UI.tableBody.closest('table').setAttribute('role', 'treegrid');
+    // Roving tabindex: one row in the tab order, arrow keys move between rows
+    const firstRow = UI.tableBody.querySelector('.pivot-row');
+    if (firstRow) firstRow.tabIndex = 0;
+    renderPagination(data.length, false); // Hierarchy is collapsible, not paged
+    if (window.lucide) lucide.createIcons();
+}
+
+// --- Pivot Configuration ---
+// Text fields the pivot can group by, in the order offered
+const PIVOT_DIMENSIONS = {
+    partner: { label: 'Partner' },
+    advertiser: { label: 'Advertiser' },
+    kpiType: { label: 'KPI Type' },
+    audienceType: { label: 'Audience Type' },
+    decisioned: { label: 'Market Type' },
+    sourceSheet: { label: 'Source Sheet' },
+    currency: { label: 'Currency', value: item => rowCurrency(item) }
+};
+
+const PIVOT_MAX_DIMENSIONS = 3;
+
+// Metrics the pivot can aggregate. value(item, context) is the campaign's figure; groups either
+// 'sum' it or take the 'mean', weighted by weight(item) when given. value() returns null when a
+// campaign has nothing to contribute (e.g. no KPI goal). context is getCalcThresholds(), read
+// once per render; labelFor(context) replaces label when the label follows a slider.
+const PIVOT_METRICS = {
+    count: { label: 'Campaigns', format: 'integer', aggregate: 'sum', value: () => 1 },
+    score: { label: 'Decision Power Score', format: 'number', aggregate: 'mean', value: item => item.score || 0 },
+    incrementalBudget: { label: 'Inc. Budget', format: 'currency', aggregate: 'sum', value: item => item.incrementalBudget || 0 },
+    calculatedOpportunity: { label: 'Inc. Opportunity', format: 'currency', aggregate: 'sum', tone: 'success', value: item => item.calculatedOpportunity || 0 },
+    spendRisk: { label: 'Daily Spend Risk', format: 'currency', aggregate: 'sum', tone: 'danger', value: item => item.spendRisk < 0 ? item.spendRisk : 0 },
+    // Projected spend over planned budget for the group: delivery weighted by planned budget
+    projectedDelivery: {
+        label: 'Projected Delivery',
+        format: 'pacing',
+        aggregate: 'mean',
+        value: item => (item.projectedDelivery === undefined || item.projectedDelivery === null) ? null : item.projectedDelivery,
+        weight: item => item.plannedBudget || 0
+    },
+    projectedUnspent: { label: 'Projected Unspent', format: 'currency', aggregate: 'sum', tone: 'danger', value: item => item.projectedUnspent || 0 },
+    // Counts against the Min Pacing slider, like the pacing email
+    underPacingCount: {
+        label: 'Under-Pacing',
+        labelFor: context => `Under-Pacing (<${context.pacingThreshold}%)`,
+        format: 'integer',
+        aggregate: 'sum',
+        value: (item, context) => isUnderPacing(item, context.pacingThreshold) ? 1 : 0
+    },
+    beatingGoalShare: { label: '% Beating Goal', format: 'ratio', aggregate: 'mean', value: item => item.beatingGoalBool ? 1 : 0 },
+    weightedPacing: {
+        label: 'Pacing (budget-weighted)',
+        format: 'pacing',
+        aggregate: 'mean',
+        value: item => (item.pacing === undefined || item.pacing === null || isNaN(item.pacing)) ? null : item.pacing,
+        weight: item => item.incrementalBudget || 0
+    },
+    kpiPerformance: {
+        label: 'KPI Perf. (budget-weighted)',
+        format: 'ratio',
+        aggregate: 'mean',
+        value: item => kpiPerformanceIndex(item),
+        weight: item => item.incrementalBudget || 0
+    }
+};
+
+const DEFAULT_PIVOT_CONFIG = {
+    dimensions: ['partner', 'advertiser'],
+    metrics: ['score', 'incrementalBudget', 'calculatedOpportunity']
+};
+
+function setupPivotConfig() {
+    if (!UI.pivotConfig) return;
+
+    const dimensionOptions = Object.entries(PIVOT_DIMENSIONS).map(([key, def]) => `<option value="${key}">${def.label}</option>`).join('');
+    UI.pivotDimensionSelects.forEach((select, index) => {
+        // Only the first level is required
+        select.innerHTML = (index > 0 ? `<option value="">(none)</option>` : '') + dimensionOptions;
+        select.addEventListener('change', () => {
+            AppState.pivotConfig.dimensions = readPivotDimensions();
+            AppState.pivotExpanded.clear(); // Paths from the old grouping no longer apply
+            renderPivotConfig();
+            renderTable(AppState.displayData);
+        });
+    });
+
+    const context = getCalcThresholds();
+    UI.pivotMetrics.innerHTML = Object.keys(PIVOT_METRICS).map(key => `<label class="pivot-metric">
+        <input type="checkbox" class="pivot-metric-checkbox" value="${key}"> <span class="pivot-metric-label" data-metric="${key}">${pivotMetricLabel(key, context)}</span>
+    </label>`).join('');
+    UI.pivotExpand.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-level]');
+        if (btn) expandPivotToLevel(parseInt(btn.dataset.level), btn.dataset.action === 'expand');
+    });
+
+    UI.btnPivotExpandAll.addEventListener('click', () => expandPivotToLevel(AppState.pivotConfig.dimensions.length, true));
+    UI.btnPivotCollapseAll.addEventListener('click', () => expandPivotToLevel(1, false));
+
+    UI.tableBody.addEventListener('keydown', handlePivotKeydown);
+    // Clicking a row makes it the keyboard focus point
+    UI.tableBody.addEventListener('focusin', (e) => {
+        if (e.target.classList && e.target.classList.contains('pivot-row')) focusPivotRow(e.target);
+    });
+
+    UI.pivotMetrics.addEventListener('change', () => {
+        AppState.pivotConfig.metrics = Array.from(UI.pivotMetrics.querySelectorAll('.pivot-metric-checkbox:checked')).map(cb => cb.value);
+        renderTable(AppState.displayData);
+    });
+
+    renderPivotConfig();
+}
+
+// Dimensions from the selects, top to bottom, skipping blanks and repeats
+function readPivotDimensions() {
+    const dimensions = [];
+    UI.pivotDimensionSelects.forEach(select => {
+        if (select.value && !dimensions.includes(select.value)) dimensions.push(select.value);
+    });
+    return dimensions.length ? dimensions : [...DEFAULT_PIVOT_CONFIG.dimensions];
+}
+
+// Sync the controls with AppState.pivotConfig
+function renderPivotConfig() {
+    if (!UI.pivotConfig) return;
+    const { dimensions, metrics } = AppState.pivotConfig;
+
+    UI.pivotDimensionSelects.forEach((select, index) => {
+        select.value = dimensions[index] || '';
+        // A level can only be added below one that is set
+        select.disabled = index > 0 && !dimensions[index - 1];
+    });
+    UI.pivotMetrics.querySelectorAll('.pivot-metric-checkbox').forEach(cb => cb.checked = metrics.includes(cb.value));
+    renderPivotMetricLabels(getCalcThresholds());
+
+    // One expand / collapse pair per grouping level
+    UI.pivotExpand.innerHTML = dimensions.map((key, index) => `<span class="pivot-expand-level">
+        ${PIVOT_DIMENSIONS[key].label}
+        <button class="btn secondary small pivot-expand-btn" data-level="${index + 1}" data-action="expand" title="Expand all ${PIVOT_DIMENSIONS[key].label} rows"><i data-lucide="plus-square" width="16" height="16"></i></button>
+        <button class="btn secondary small pivot-expand-btn" data-level="${index + 1}" data-action="collapse" title="Collapse all ${PIVOT_DIMENSIONS[key].label} rows"><i data-lucide="minus-square" width="16" height="16"></i></button>
+    </span>`).join('');
+    if (window.lucide) lucide.createIcons();
+}
+
+function pivotMetricLabel(key, context) {
+    const def = PIVOT_METRICS[key];
+    return def.labelFor ? def.labelFor(context) : def.label;
+}
+
+// Some labels follow the sidebar sliders (context: see PIVOT_METRICS)
+function renderPivotMetricLabels(context) {
+    UI.pivotMetrics.querySelectorAll('.pivot-metric-label').forEach(span => span.textContent = pivotMetricLabel(span.dataset.metric, context));
+}
+
+// Keep only known dimensions / metrics (e.g. from an old link or saved session)
+function sanitizePivotConfig(config) {
+    const dimensions = (Array.isArray(config.dimensions) ? config.dimensions : [])
+        .filter((key, index, all) => PIVOT_DIMENSIONS[key] && all.indexOf(key) === index)
+        .slice(0, PIVOT_MAX_DIMENSIONS);
+    const metrics = (Array.isArray(config.metrics) ? config.metrics : []).filter(key => PIVOT_METRICS[key]);
+
+    return {
+        dimensions: dimensions.length ? dimensions : [...DEFAULT_PIVOT_CONFIG.dimensions],
+        metrics: Array.isArray(config.metrics) ? metrics : [...DEFAULT_PIVOT_CONFIG.metrics]
+    };
+}
+
+// Group rows into nested nodes: { id, key, name, depth, metrics, currency, groups: [child nodes], campaigns: [leaf rows] }
+// context: slider settings for the metrics (see PIVOT_METRICS)
+function buildPivotTree(data, dimensions, context) {
+    const root = { id: 'pv', key: '', groups: new Map() };
+    const usedIds = new Set();
+
+    data.forEach(item => {
+        let parent = root;
+        dimensions.forEach((dimension, depth) => {
+            const def = PIVOT_DIMENSIONS[dimension];
+            const name = String((def.value ? def.value(item) : item[dimension]) || '').trim() || `Unknown ${def.label}`;
+            if (!parent.groups.has(name)) {
+                // Names that sanitize alike (e.g. "A B" / "A-B") still need distinct element ids
+                let id = `${parent.id}-${sanitizeId(name)}`;
+                for (let n = 2; usedIds.has(id); n++) id = `${parent.id}-${sanitizeId(name)}-${n}`;
+                usedIds.add(id);
+
+                parent.groups.set(name, {
+                    id,
+                    key: parent.key ? `${parent.key}\u001f${name}` : name, // Path of group names, for expansion state
+                    name,
+                    depth,
+                    metrics: createMetrics(),
+                    currencies: new Set(),
+                    groups: new Map(),
+                    campaigns: []
+                });
+            }
+
+            parent = parent.groups.get(name);
+            accumulateMetrics(parent.metrics, item, context);
+            parent.currencies.add(rowCurrency(item));
+        });
+        parent.campaigns.push(item);
+    });
+
+    // Maps -> arrays, recursively
+    // currency: the group's only currency, or null when it mixes several
+    const toArray = (groups) => Array.from(groups.values()).map(node => ({
+        ...node,
+        currency: node.currencies.size === 1 ? Array.from(node.currencies)[0] : null,
+        groups: toArray(node.groups)
+    }));
+    return toArray(root.groups);
+}
+
+function sortPivotTree(nodes, sortFn) {
+    nodes.sort(sortFn);
+    nodes.forEach(node => {
+        sortPivotTree(node.groups, sortFn);
+        node.campaigns.sort(sortFn);
+    });
+}
+
+// Helpers
+// Running totals for every pivot metric, so any of them can be shown or sorted on
+function createMetrics() {
+    const metrics = {};
+    Object.keys(PIVOT_METRICS).forEach(key => metrics[key] = { total: 0, weight: 0, plainTotal: 0, n: 0 });
+    return metrics;
+}
+
+function accumulateMetrics(target, item, context) {
+    for (const [key, def] of Object.entries(PIVOT_METRICS)) {
+        const value = def.value(item, context);
+        if (value === null || value === undefined || isNaN(value)) continue;
+
+        const acc = target[key];
+        const weight = def.weight ? def.weight(item) : 1;
+        acc.total += def.aggregate === 'sum' ? value : value * weight;
+        acc.weight += weight;
+        acc.plainTotal += value;
+        acc.n++;
+    }
+}
+
+function pivotMetricValue(metrics, key) {
+    const acc = metrics[key];
+    if (PIVOT_METRICS[key].aggregate === 'sum') return acc.total;
+    if (acc.n === 0) return null;
+    // No weight at all (e.g. every budget is 0): fall back to a plain average
+    return acc.weight > 0 ? acc.total / acc.weight : acc.plainTotal / acc.n;
+}
+
+// currency: null for a group mixing currencies, whose money total can't be shown as one amount
+function formatPivotMetric(key, value, currency) {
+    if (value === null || value === undefined) return '-';
+    switch (PIVOT_METRICS[key].format) {
+        case 'currency':
+            if (currency === null) return value ? `<span title="Several currencies - group by Currency to see totals">Mixed</span>` : '-';
+            return formatCurrency(value, currency);
+        case 'ratio': return formatRatio(value);
+        case 'pacing': return formatPercent(value);
+        case 'integer': return formatNumber(Math.round(value));
+        default: return formatNumber(Math.round(value));
+    }
+}
+
+// e.g. "CPA 112% · CTR 95%", largest budget first
+function formatKpiPerformanceByType(byKpiType) {
+    return Object.entries(byKpiType)
+        .map(([type, metrics]) => ({ type, value: pivotMetricValue(metrics, 'kpiPerformance'), weight: metrics.kpiPerformance.weight }))
+        .filter(entry => entry.value !== null)
+        .sort((a, b) => b.weight - a.weight)
+        .map(entry => `${entry.type} ${formatRatio(entry.value)}`)
+        .join(' · ');
+}
+
+// KPI performance as a fraction of goal where above 1 always means better than goal:
+// cost KPIs (lower is better) are inverted. null when the campaign has no goal.
+function kpiPerformanceIndex(item) {
+    if (!((item.goalValue || 0) > 0) || !(item.kpiPerfRatio > 0)) return null;
+    return isLowerBetterKpi(item.kpiType) ? 1 / item.kpiPerfRatio : item.kpiPerfRatio;
+}
+
+function sanitizeId(str) {
+    return String(str).replace(/[^a-zA-Z0-9-_]/g, '-').toLowerCase();
+}
+
+// Building a formatter is expensive; reuse one per locale + currency across large tables
+const NUMBER_FORMATTERS = new Map();
+
+function getCurrencyFormatter(currency) {
+    const { locale } = AppState.currencySettings;
+    const key = `${locale}|${currency}`;
+    if (!NUMBER_FORMATTERS.has(key)) {
+        let formatter;
+        try {
+            formatter = new Intl.NumberFormat(locale, { style: 'currency', currency });
+        } catch (error) {
+            // Not an ISO code (e.g. "Dollars" in the currency column): show the plain amount
+            formatter = new Intl.NumberFormat(locale, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+        }
+        NUMBER_FORMATTERS.set(key, formatter);
+    }
+    return NUMBER_FORMATTERS.get(key);
+}
+
+// currency defaults to the display currency picked in the sidebar
+function formatCurrency(val, currency) {
+    return getCurrencyFormatter(currency || AppState.currencySettings.currency).format(val);
+}
+
+function formatPercent(val) {
+    if (val === undefined || val === null || isNaN(val)) return '0%';
+    // Cap visual display at 100%
+    let num = Math.round(val);
+    if (num > 100) num = 100;
+    return num + '%';
+}
+
+
+// --- Export ---
+// Excel number formats per column format
+const EXPORT_NUMBER_FORMATS = {
+    currency: '"$"#,##0.00', // Replaced per row by excelCurrencyFormat
+    percent: '0%',
+    percentPrecise: '0.00%',
+    number: 'General',
+    integer: '0'
+};
+
+// How each table key is written to a sheet. Percent columns are exported as fractions.
+const EXPORT_COLUMN_FORMATS = {
+    avgKpiValue: 'number',
+    goalValue: 'number',
+    kpiPerfRatio: 'percentPrecise',
+    score: 'number',
+    avgScore: 'number',
+    daysRemaining: 'number',
+    pacing: 'percent',
+    incrementalBudget: 'currency',
+    calculatedOpportunity: 'currency',
+    spendRisk: 'currency',
+    projectedDelivery: 'percent',
+    projectedUnspent: 'currency',
+    count: 'integer',
+    underPacingCount: 'integer',
+    kpiPerformance: 'percent',
+    beatingGoalShare: 'percent',
+    weightedPacing: 'percent',
+    pacingDelta: 'number',
+    scoreDelta: 'number',
+    kpiPerfDelta: 'percent',
+    opportunityDelta: 'currency',
+    spendRiskDelta: 'currency',
+    fxRate: 'number'
+};
+
+// Keys whose displayed value differs from the raw field
+const EXPORT_VALUE_GETTERS = {
+    kpiType: item => item.kpiType || item.decisioned || '',
+    // Campaign table shows Off Goal % when present, otherwise the KPI ratio
+    kpiPerfRatio: item => (item.offGoal !== undefined && item.offGoal !== null && !isNaN(item.offGoal)) ? item.offGoal : (item.kpiPerfRatio || ''),
+    pacing: item => (item.pacing === undefined || item.pacing === null || isNaN(item.pacing)) ? '' : Math.min(item.pacing, 100) / 100,
+    projectedDelivery: item => (item.projectedDelivery === undefined || item.projectedDelivery === null) ? '' : item.projectedDelivery / 100,
+    weightedPacing: item => (item.weightedPacing === undefined || item.weightedPacing === null || isNaN(item.weightedPacing)) ? '' : Math.min(item.weightedPacing, 100) / 100,
+    status: item => item.status ? item.status.charAt(0).toUpperCase() + item.status.slice(1) : '',
+    originalCurrency: item => item.original ? item.original.currency : ''
+};
+
+function buildExportColumns(keys, headers) {
+    return keys.map((key, index) => ({
+        key,
+        label: headers[index],
+        format: EXPORT_COLUMN_FORMATS[key] || 'text',
+        value: EXPORT_VALUE_GETTERS[key] || (item => item[key])
+    }));
+}
+
+function setupExport() {
+    if (UI.btnExportXlsx) UI.btnExportXlsx.addEventListener('click', () => exportTable('xlsx'));
+    if (UI.btnExportCsv) UI.btnExportCsv.addEventListener('click', () => exportTable('csv'));
+}
+
+// Writes every row of the current view (not just the rendered ones), in display order
+function exportTable(type) {
+    const model = AppState.tableExport;
+    if (!model || model.rows.length === 0) {
+        alert("Nothing to export for the current view.");
+        return;
+    }
+
+    const aoa = [model.columns.map(col => col.label)];
+    model.rows.forEach(row => {
+        aoa.push(model.columns.map(col => {
+            const val = col.value(row);
+            if (val === undefined || val === null || (typeof val === 'number' && isNaN(val))) return '';
+            return val;
+        }));
+    });
+
+    const worksheet = XLSX.utils.aoa_to_sheet(aoa);
+
+    // Apply currency/percent formats to numeric cells. Currency cells use their row's
+    // currency; rows spanning several currencies (currency: null) get a plain amount.
+    model.columns.forEach((col, c) => {
+        const numFmt = EXPORT_NUMBER_FORMATS[col.format];
+        if (!numFmt) return;
+        for (let r = 1; r < aoa.length; r++) {
+            const cell = worksheet[XLSX.utils.encode_cell({ r, c })];
+            if (!cell || cell.t !== 'n') continue;
+            const row = model.rows[r - 1];
+            cell.z = col.format === 'currency' ? excelCurrencyFormat(row.currency === null ? null : rowCurrency(row)) : numFmt;
+        }
+    });
+
+    // Rough column widths from the header and first rows
+    worksheet['!cols'] = model.columns.map((col, c) => {
+        const sample = aoa.slice(0, 50).map(row => String(row[c]).length);
+        return { wch: Math.min(50, Math.max(10, ...sample) + 2) };
+    });
+
+    const baseName = `incremental-insights-${model.name}-${new Date().toISOString().slice(0, 10)}`;
+
+    if (type === 'csv') {
+        // BOM so Excel opens UTF-8 names correctly
+        downloadFile(`${baseName}.csv`, '\ufeff' + XLSX.utils.sheet_to_csv(worksheet), 'text/csv;charset=utf-8');
+    } else {
+        const workbook = XLSX.utils.book_new();
+        XLSX.utils.book_append_sheet(workbook, worksheet, model.name.charAt(0).toUpperCase() + model.name.slice(1));
+        XLSX.writeFile(workbook, `${baseName}.xlsx`);
+    }
+}
+
+// --- Scenario Planning ---
+// A scenario is a named set of thresholds, duplicate handling and formula.
+// All scenarios are evaluated against the same filtered data so they can be compared side by side.
+const DEFAULT_SCENARIOS = [
+    { id: 'scenario-conservative', name: 'Conservative', scoreThreshold: 80, pacingThreshold: 100, incBufferPercent: -20, dupFilter: 'max-opp', formulaId: DEFAULT_FORMULA_ID, include: true },
+    { id: 'scenario-base', name: 'Base', scoreThreshold: 50, pacingThreshold: 99, incBufferPercent: 0, dupFilter: 'none', formulaId: DEFAULT_FORMULA_ID, include: true },
+    { id: 'scenario-aggressive', name: 'Aggressive', scoreThreshold: 30, pacingThreshold: 95, incBufferPercent: 20, dupFilter: 'none', formulaId: DEFAULT_FORMULA_ID, include: true }
+];
+
+const DUPLICATE_MODE_LABELS = {
+    'none': 'Include All Duplicates',
+    'best-perf': 'Best Performing Only',
+    'max-opp': 'Highest Opportunity Only'
+};
+
+function setupScenarios() {
+    if (!UI.viewScenarios) return;
+
+    UI.btnSaveScenario.addEventListener('click', saveCurrentAsScenario);
+
+    UI.scenarioList.addEventListener('change', (e) => {
+        if (!e.target.classList.contains('scenario-include')) return;
+        const scenarios = loadScenarios();
+        const scenario = scenarios.find(sc => sc.id === e.target.value);
+        if (scenario) scenario.include = e.target.checked;
+        storeScenarios(scenarios);
+        renderScenarioComparison();
+    });
+
+    UI.scenarioList.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-scenario-action]');
+        if (!btn) return;
+        const id = btn.getAttribute('data-scenario-id');
+        const scenario = loadScenarios().find(sc => sc.id === id);
+        if (!scenario) return;
+
+        if (btn.getAttribute('data-scenario-action') === 'apply') {
+            applyScenario(scenario);
+            switchView('data');
+        } else if (confirm(`Delete scenario "${scenario.name}"?`)) {
+            storeScenarios(loadScenarios().filter(sc => sc.id !== id));
+            renderScenarios();
+        }
+    });
+}
+
+function loadScenarios() {
+    const stored = localStorage.getItem(STORAGE_KEYS.scenarios);
+    // First use: start with conservative / base / aggressive
+    if (stored === null) return DEFAULT_SCENARIOS.map(sc => ({ ...sc }));
+    try {
+        const parsed = JSON.parse(stored);
+        return Array.isArray(parsed) ? parsed : [];
+    } catch (error) {
+        console.error(error);
+        return [];
+    }
+}
+
+function storeScenarios(scenarios) {
+    localStorage.setItem(STORAGE_KEYS.scenarios, JSON.stringify(scenarios));
+}
+
+// Snapshot of the sidebar controls a scenario covers
+function readScenarioSettings() {
+    return {
+        scoreThreshold: UI.filterScore ? parseInt(UI.filterScore.value) : 100,
+        pacingThreshold: UI.filterPacing ? parseInt(UI.filterPacing.value) : 99,
+        incBufferPercent: UI.filterIncBuffer ? parseInt(UI.filterIncBuffer.value) : 0,
+        dupFilter: UI.filterDuplicate ? UI.filterDuplicate.value : 'none',
+        formulaId: getActiveFormula().id
+    };
+}
+
+function saveCurrentAsScenario() {
+    const name = (prompt('Name this scenario (e.g. "Conservative"):') || '').trim();
+    if (!name) return;
+
+    const scenarios = loadScenarios();
+    const existing = scenarios.find(sc => sc.name.toLowerCase() === name.toLowerCase());
+    if (existing && !confirm(`Scenario "${existing.name}" already exists. Overwrite it?`)) return;
+
+    const scenario = {
+        id: existing ? existing.id : `scenario-${Date.now()}`,
+        name: existing ? existing.name : name,
+        ...readScenarioSettings(),
+        include: true
+    };
+
+    storeScenarios(existing ? scenarios.map(sc => sc.id === existing.id ? scenario : sc) : [...scenarios, scenario]);
+    renderScenarios();
+}
+
+// Push a scenario's settings into the sidebar controls and recalculate
+function applyScenario(scenario) {
+    if (UI.filterScore) UI.filterScore.value = scenario.scoreThreshold;
+    if (UI.filterPacing) UI.filterPacing.value = scenario.pacingThreshold;
+    if (UI.filterIncBuffer) UI.filterIncBuffer.value = scenario.incBufferPercent;
+    updateSliderLabels();
+    if (UI.filterDuplicate) UI.filterDuplicate.value = scenario.dupFilter;
+    if (scenario.formulaId && getAllFormulas().some(f => f.id === scenario.formulaId)) {
+        localStorage.setItem(STORAGE_KEYS.activeFormula, scenario.formulaId);
+        renderFormulaSelect();
+    }
+
+    applyFilters();
+}
+
+// Run one scenario over the current filtered data without touching the live results
+function evaluateScenario(scenario, data) {
+    const formulaDef = getAllFormulas().find(f => f.id === scenario.formulaId) || FORMULA_PRESETS[0];
+    let formula;
+    try {
+        formula = compileFormula(formulaDef);
+    } catch (error) {
+        console.error(error);
+        formula = compileFormula(FORMULA_PRESETS[0]);
+    }
+
+    const settings = {
+        scoreThreshold: scenario.scoreThreshold,
+        pacingThreshold: scenario.pacingThreshold,
+        incBufferMultiplier: 1 + (scenario.incBufferPercent / 100),
+        formula
+    };
+
+    // Copies, since duplicate handling compares calculatedOpportunity
+    const rows = data.map(item => ({ ...item, calculatedOpportunity: calculateOpportunity(item, settings) }));
+    const displayRows = applyDuplicateHandling(rows, scenario.dupFilter || 'none');
+
+    // Totals are kept per currency ({ USD: 1200, EUR: 300 }), like the stat cards
+    const qualifying = displayRows.filter(item => item.calculatedOpportunity > 0);
+    const byPartner = {};
+    qualifying.forEach(item => {
+        const partner = item.partner || 'Unknown Partner';
+        (byPartner[partner] = byPartner[partner] || []).push(item);
+    });
+    Object.keys(byPartner).forEach(partner => byPartner[partner] = sumByCurrency(byPartner[partner], item => item.calculatedOpportunity));
+
+    return {
+        formulaName: formulaDef.name,
+        opportunityByCurrency: sumByCurrency(qualifying, item => item.calculatedOpportunity),
+        qualifyingCount: qualifying.length,
+        byPartner
+    };
+}
+
+function renderScenarios() {
+    const scenarios = loadScenarios();
+
+    UI.scenarioList.innerHTML = scenarios.length === 0 ?
+        `<span class="hint-text">No scenarios saved yet. Set the sliders and click "Save Current Settings as Scenario".</span>` :
+        scenarios.map(sc => `<div class="scenario-chip glass-panel">
+            <label style="display:flex; align-items:center; gap:0.5rem; cursor:pointer;">
+                <input type="checkbox" class="scenario-include" value="${escapeHtml(sc.id)}" ${sc.include !== false ? 'checked' : ''}>
+                <span style="font-weight:600;">${escapeHtml(sc.name)}</span>
+            </label>
+            <button class="btn text-btn" data-scenario-action="apply" data-scenario-id="${escapeHtml(sc.id)}" title="Apply to dashboard">
+                <i data-lucide="play"></i>
+            </button>
+            <button class="btn text-btn danger" data-scenario-action="delete" data-scenario-id="${escapeHtml(sc.id)}" title="Delete scenario">
+                <i data-lucide="trash-2"></i>
+            </button>
+        </div>`).join('');
+
+    renderScenarioComparison();
+    if (window.lucide) lucide.createIcons();
+}
+
+function renderScenarioComparison() {
+    const scenarios = loadScenarios().filter(sc => sc.include !== false);
+
+    if (scenarios.length === 0) {
+        UI.scenarioTableHead.innerHTML = '';
+        UI.scenarioTableBody.innerHTML = `<tr><td style="text-align:center; opacity:0.6;">Select at least one scenario to compare.</td></tr>`;
+        return;
+    }
+
+    const data = AppState.processedData;
+    const results = scenarios.map(sc => evaluateScenario(sc, data));
+
+    // Partners ordered by the first scenario's total (amounts added across currencies for the order only)
+    const orderTotal = partner => Object.values(results[0].byPartner[partner] || {}).reduce((sum, value) => sum + value, 0);
+    const partners = [...new Set(results.flatMap(r => Object.keys(r.byPartner)))]
+        .sort((a, b) => orderTotal(b) - orderTotal(a));
+
+    UI.scenarioTableHead.innerHTML = `<tr><th></th>${scenarios.map(sc => `<th>${escapeHtml(sc.name)}</th>`).join('')}</tr>`;
+
+    const row = (label, cells, style = '') => `<tr style="${style}"><td style="font-weight:600;">${label}</td>${cells.join('')}</tr>`;
+    const muted = 'color:var(--text-muted); font-size:0.85rem;';
+
+    let html = '';
+    html += row('Min Power Score', scenarios.map(sc => `<td>${sc.scoreThreshold}</td>`), muted);
+    html += row('Min Pacing %', scenarios.map(sc => `<td>${sc.pacingThreshold}%</td>`), muted);
+    html += row('Inc. Opp. Buffer', scenarios.map(sc => `<td>${sc.incBufferPercent > 0 ? '+' : ''}${sc.incBufferPercent}%</td>`), muted);
+    html += row('Duplicate Handling', scenarios.map(sc => `<td>${DUPLICATE_MODE_LABELS[sc.dupFilter] || sc.dupFilter}</td>`), muted);
+    html += row('Formula', results.map(r => `<td>${escapeHtml(r.formulaName)}</td>`), muted);
+    html += row('Qualifying Campaigns', results.map(r => `<td style="font-weight:600;">${r.qualifyingCount}</td>`), 'background:rgba(37, 99, 235, 0.04);');
+    html += row('Total Opportunity', results.map(r => `<td style="font-weight:700; color:var(--success);">${formatCurrencyTotals(r.opportunityByCurrency)}</td>`), 'background:rgba(37, 99, 235, 0.04);');
+
+    partners.forEach(partner => {
+        html += row(`<span style="padding-left:1rem; font-weight:500;">${escapeHtml(partner)}</span>`,
+            results.map(r => `<td>${r.byPartner[partner] ? formatCurrencyTotals(r.byPartner[partner]) : '-'}</td>`));
+    });
+
+    UI.scenarioTableBody.innerHTML = html;
+}
+
+// --- Charts ---
+// Hand-built SVG, so the charts render offline. They show the same rows as the stat cards
+// (filtered processedData after duplicate handling). Clicking a bar or point applies a filter.
+const CHART_COLORS = {
+    primary: '#2563eb',
+    primaryDark: '#1e40af',
+    success: '#10b981',
+    danger: '#ef4444',
+    muted: '#94a3b8',
+    grid: '#e2e8f0'
+};
+
+const CHART_MAX_BARS = 12;
+const CHART_MAX_POINTS = 2000; // Beyond this the scatter gets slow and unreadable
+const PACING_BIN_SIZE = 10;
+
+function setupCharts() {
+    if (!UI.viewCharts) return;
+
+    UI.chartOpportunityLevel.addEventListener('change', renderCharts);
+
+    // Every clickable mark carries data-filter (which filter) and data-value
+    UI.viewCharts.addEventListener('click', (e) => {
+        const mark = e.target.closest('[data-filter]');
+        if (!mark) return;
+        applyChartFilter(mark.getAttribute('data-filter'), mark.getAttribute('data-value'));
+    });
+
+    UI.btnClearPacingRange.addEventListener('click', () => {
+        AppState.pacingRange = null;
+        applyFilters();
+    });
+}
+
+function applyChartFilter(filter, value) {
+    if (filter === 'pacing') {
+        const [min, max] = value.split('-').map(Number);
+        // Clicking the active band again clears it
+        const same = AppState.pacingRange && AppState.pacingRange.min === min && AppState.pacingRange.max === max;
+        AppState.pacingRange = same ? null : { min, max };
+    } else {
+        const select = { partner: UI.filterPartner, advertiser: UI.filterAdvertiser, campaign: UI.filterCampaign }[filter];
+        if (!select || !Array.from(select.options).some(o => o.value === value)) return;
+        select.value = value;
+    }
+
+    applyFilters();
+}
+
+// Bands are [min, max), except the top one which includes 100% (pacing is capped there)
+function inPacingRange(pacing, range) {
+    const p = parseFloat(pacing) || 0;
+    return p >= range.min && (p < range.max || (range.max >= 100 && p >= 100));
+}
+
+function updatePacingRangeChip() {
+    if (!UI.filterPacingRange) return;
+    const range = AppState.pacingRange;
+    UI.filterPacingRange.classList.toggle('hidden', !range);
+    if (range) UI.filterPacingRangeLabel.textContent = `Pacing ${range.min}–${range.max}%`;
+}
+
+function renderCharts() {
+    if (!UI.viewCharts) return;
+    const data = AppState.displayData;
+
+    // Opportunity by partner / advertiser
+    const level = UI.chartOpportunityLevel.value;
+    const opportunity = sumBy(data, item => item[level], item => item.calculatedOpportunity > 0 ? item.calculatedOpportunity : 0);
+    UI.chartOpportunity.innerHTML = renderBarChart(opportunity, { filter: level, color: CHART_COLORS.success });
+
+    // Spend risk by partner (negative daily risk, shown as a positive amount)
+    const spendRisk = sumBy(data, item => item.partner, item => item.spendRisk < 0 ? -item.spendRisk : 0);
+    UI.chartSpendRisk.innerHTML = renderBarChart(spendRisk, { filter: 'partner', color: CHART_COLORS.danger });
+
+    UI.chartPacing.innerHTML = renderPacingHistogram(data);
+    UI.chartScatter.innerHTML = renderScoreScatter(data);
+}
+
+// Group and sum amounts, biggest first, dropping zero totals. Each currency gets its own
+// entry ({ label, currency, value }), so mixed-currency data is never added together.
+function sumBy(data, keyFn, valueFn) {
+    const totals = new Map();
+    data.forEach(item => {
+        const label = keyFn(item);
+        if (!label) return;
+        const currency = rowCurrency(item);
+        const key = `${label}\u001f${currency}`;
+        if (!totals.has(key)) totals.set(key, { label, currency, value: 0 });
+        totals.get(key).value += valueFn(item);
+    });
+    return Array.from(totals.values())
+        .filter(entry => entry.value > 0)
+        .sort((a, b) => b.value - a.value);
+}
+
+function emptyChart(message) {
+    return `<div class="chart-empty">${message}</div>`;
+}
+
+function truncateLabel(str, max) {
+    str = String(str);
+    return str.length > max ? str.slice(0, max - 1) + '…' : str;
+}
+
+// Horizontal bars, one per entry (see sumBy), labelled on the left and valued on the right.
+// With more than one currency, labels name the currency and the bars compare within it.
+function renderBarChart(entries, { filter, color }) {
+    if (entries.length === 0) return emptyChart('Nothing to show for the current filters.');
+
+    const isMixedCurrency = new Set(entries.map(entry => entry.currency)).size > 1;
+    const labelOf = entry => isMixedCurrency ? `${entry.label} (${entry.currency})` : entry.label;
+    const format = entry => formatCurrency(entry.value, entry.currency);
+
+    const shown = entries.slice(0, CHART_MAX_BARS);
+    const width = 560;
+    const labelWidth = 170;
+    const valueWidth = 100;
+    const rowHeight = 26;
+    const barArea = width - labelWidth - valueWidth;
+    const max = shown[0].value || 1;
+    const height = shown.length * rowHeight;
+
+    const rows = shown.map((entry, index) => {
+        const y = index * rowHeight;
+        const barWidth = Math.max(2, (entry.value / max) * barArea);
+        return `<g class="chart-mark" data-filter="${filter}" data-value="${escapeHtml(entry.label)}">
+            <title>${escapeHtml(labelOf(entry))}: ${format(entry)}</title>
+            <rect x="0" y="${y}" width="${width}" height="${rowHeight}" fill="transparent"></rect>
+            <text x="${labelWidth - 8}" y="${y + rowHeight / 2}" text-anchor="end" dominant-baseline="middle" class="chart-label">${escapeHtml(truncateLabel(labelOf(entry), 24))}</text>
+            <rect x="${labelWidth}" y="${y + 5}" width="${barWidth}" height="${rowHeight - 10}" rx="3" fill="${color}"></rect>
+            <text x="${labelWidth + barWidth + 6}" y="${y + rowHeight / 2}" dominant-baseline="middle" class="chart-value">${format(entry)}</text>
+        </g>`;
+    }).join('');
+
+    const more = entries.length > shown.length ? `<div class="chart-note">Top ${shown.length} of ${entries.length}</div>` : '';
+    return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img">${rows}</svg>${more}`;
+}
+
+function renderPacingHistogram(data) {
+    if (data.length === 0) return emptyChart('Nothing to show for the current filters.');
+
+    const binCount = 100 / PACING_BIN_SIZE;
+    const bins = new Array(binCount).fill(0);
+    data.forEach(item => {
+        const p = Math.max(0, parseFloat(item.pacing) || 0);
+        bins[Math.min(binCount - 1, Math.floor(p / PACING_BIN_SIZE))]++;
+    });
+
+    const width = 560;
+    const height = 220;
+    const padBottom = 24;
+    const padTop = 18;
+    const slot = width / binCount;
+    const maxCount = Math.max(...bins) || 1;
+    const range = AppState.pacingRange;
+
+    const bars = bins.map((count, index) => {
+        const lower = index * PACING_BIN_SIZE;
+        const upper = lower + PACING_BIN_SIZE;
+        const barHeight = (count / maxCount) * (height - padBottom - padTop);
+        const x = index * slot;
+        const y = height - padBottom - barHeight;
+        const active = range && range.min === lower && range.max === upper;
+        return `<g class="chart-mark" data-filter="pacing" data-value="${lower}-${upper}">
+            <title>Pacing ${lower}–${upper}%: ${formatNumber(count)} campaigns</title>
+            <rect x="${x}" y="0" width="${slot}" height="${height}" fill="transparent"></rect>
+            <rect x="${x + 4}" y="${y}" width="${slot - 8}" height="${Math.max(barHeight, count ? 2 : 0)}" rx="3" fill="${active ? CHART_COLORS.primaryDark : CHART_COLORS.primary}"></rect>
+            ${count ? `<text x="${x + slot / 2}" y="${y - 4}" text-anchor="middle" class="chart-value">${formatNumber(count)}</text>` : ''}
+            <text x="${x + slot / 2}" y="${height - 6}" text-anchor="middle" class="chart-label">${lower}–${upper}%</text>
+        </g>`;
+    }).join('');
+
+    return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img">
+        <line x1="0" y1="${height - padBottom}" x2="${width}" y2="${height - padBottom}" stroke="${CHART_COLORS.grid}"></line>
+        ${bars}
+    </svg>`;
+}
+
+// Score (x) against KPI performance as a % of goal (y, see kpiPerformanceIndex)
+function renderScoreScatter(data) {
+    const points = data.filter(item => kpiPerformanceIndex(item) !== null).map(item => ({
+        item,
+        x: item.score || 0,
+        y: kpiPerformanceIndex(item) * 100,
+        qualifying: item.calculatedOpportunity > 0
+    }));
+    if (points.length === 0) return emptyChart('No campaigns with a KPI goal in the current filters.');
+
+    // Keep qualifying campaigns when thinning out large datasets
+    points.sort((a, b) => b.qualifying - a.qualifying);
+    const shown = points.slice(0, CHART_MAX_POINTS);
+
+    const width = 560;
+    const height = 260;
+    const pad = { left: 44, right: 12, top: 10, bottom: 30 };
+    const maxX = Math.max(100, ...shown.map(p => p.x));
+    const maxY = Math.min(300, Math.max(150, ...shown.map(p => p.y))); // Outliers are pinned to the top
+    const sx = x => pad.left + (x / maxX) * (width - pad.left - pad.right);
+    const sy = y => height - pad.bottom - (Math.min(y, maxY) / maxY) * (height - pad.top - pad.bottom);
+
+    let axes = '';
+    for (let i = 0; i <= 4; i++) {
+        const yVal = (maxY / 4) * i;
+        const xVal = (maxX / 4) * i;
+        axes += `<line x1="${pad.left}" y1="${sy(yVal)}" x2="${width - pad.right}" y2="${sy(yVal)}" stroke="${CHART_COLORS.grid}"></line>`;
+        axes += `<text x="${pad.left - 6}" y="${sy(yVal)}" text-anchor="end" dominant-baseline="middle" class="chart-label">${Math.round(yVal)}%</text>`;
+        axes += `<text x="${sx(xVal)}" y="${height - 10}" text-anchor="middle" class="chart-label">${Math.round(xVal)}</text>`;
+    }
+    // Goal line
+    axes += `<line x1="${pad.left}" y1="${sy(100)}" x2="${width - pad.right}" y2="${sy(100)}" stroke="${CHART_COLORS.muted}" stroke-dasharray="4 3"></line>`;
+
+    // Draw qualifying campaigns last so they sit on top
+    const dots = shown.slice().reverse().map(p => `<circle class="chart-mark" data-filter="campaign" data-value="${escapeHtml(p.item.campaign)}"
+        cx="${sx(p.x).toFixed(1)}" cy="${sy(p.y).toFixed(1)}" r="${p.qualifying ? 4 : 3}"
+        fill="${p.qualifying ? CHART_COLORS.success : CHART_COLORS.muted}" fill-opacity="${p.qualifying ? 0.9 : 0.5}">
+        <title>${escapeHtml(p.item.campaign)}: score ${Math.round(p.x)}, ${Math.round(p.y)}% of goal${p.qualifying ? `, ${formatCurrency(p.item.calculatedOpportunity, rowCurrency(p.item))} opportunity` : ''}</title>
+    </circle>`).join('');
+
+    const legend = `<div class="chart-note">
+        <span class="chart-legend" style="background:${CHART_COLORS.success};"></span> Qualifying
+        <span class="chart-legend" style="background:${CHART_COLORS.muted}; margin-left:0.75rem;"></span> Not qualifying
+        ${points.length > shown.length ? ` · Showing ${formatNumber(shown.length)} of ${formatNumber(points.length)}` : ''}
+    </div>`;
+
+    return `<svg viewBox="0 0 ${width} ${height}" width="100%" role="img">${axes}${dots}</svg>${legend}`;
+}
+
+// --- Data Quality ---
+function setupDataQuality() {
+    if (!UI.viewQuality) return;
+
+    // Drill-down: click an issue card to list only those rows
+    UI.qualitySummary.addEventListener('click', (e) => {
+        const card = e.target.closest('[data-issue-code]');
+        if (!card) return;
+        AppState.qualityFilter = card.getAttribute('data-issue-code');
+        renderDataQuality();
+    });
+
+    UI.btnExportQuality.addEventListener('click', exportDataQuality);
+}
+
+// Flatten per-row issues into one list, with counts per rule
+function buildDataQualityReport(rows) {
+    const issues = [];
+    const counts = {};
+    Object.keys(VALIDATION_RULES).forEach(code => counts[code] = 0);
+
+    rows.forEach(item => {
+        (item._issues || []).forEach(issue => {
+            counts[issue.code] = (counts[issue.code] || 0) + 1;
+            issues.push({
+                ...issue,
+                rowId: item._id,
+                sourceRow: item.sourceRow,
+                sourceSheet: item.sourceSheet,
+                campaign: item.campaign,
+                campaignId: item.campaignId,
+                advertiser: item.advertiser
+            });
+        });
+    });
+
+    AppState.dataQuality = { issues, counts };
+    AppState.qualityFilter = 'all';
+
+    if (UI.qualityBadge) {
+        UI.qualityBadge.textContent = issues.length;
+        UI.qualityBadge.classList.toggle('hidden', issues.length === 0);
+    }
+}
+
+function renderDataQuality() {
+    const { issues, counts } = AppState.dataQuality;
+    const active = AppState.qualityFilter;
+    const affectedRows = new Set(issues.map(i => i.rowId)).size;
+
+    UI.qualityCount.textContent = `${issues.length} issues in ${affectedRows} of ${AppState.rawData.length} rows`;
+
+    const card = (code, label, count, description) => `
+        <div class="quality-card glass-panel ${active === code ? 'active' : ''} ${count === 0 ? 'empty' : ''}" data-issue-code="${code}" title="${description}">
+            <span class="label">${label}</span>
+            <h2 style="${count > 0 && code !== 'all' ? 'color:var(--danger);' : ''}">${count}</h2>
+        </div>`;
+
+    UI.qualitySummary.innerHTML = card('all', 'All Issues', issues.length, 'Show every issue') +
+        Object.entries(VALIDATION_RULES).map(([code, rule]) => card(code, rule.label, counts[code] || 0, rule.description)).join('');
+
+    const rows = active === 'all' ? issues : issues.filter(i => i.code === active);
+
+    if (rows.length === 0) {
+        UI.qualityTableBody.innerHTML = `<tr><td colspan="6" style="text-align:center; opacity:0.6;">No issues found.</td></tr>`;
+        return;
+    }
+
+    const subset = rows.slice(0, 500);
+    UI.qualityTableBody.innerHTML = subset.map(issue => `<tr>
+        <td>${issue.sourceSheet ? `${escapeHtml(issue.sourceSheet)} · ` : ''}Row ${issue.sourceRow}</td>
+        <td><div style="max-width:250px; overflow:hidden; text-overflow:ellipsis;" title="${escapeHtml(issue.campaign || '')}">${escapeHtml(issue.campaign || '-')}</div></td>
+        <td>${escapeHtml(issue.campaignId || '-')}</td>
+        <td>${VALIDATION_RULES[issue.code] ? VALIDATION_RULES[issue.code].label : issue.code}</td>
+        <td>${FIELD_LABELS[issue.field] || issue.field}${AppState.fieldMap[issue.field] ? ` <span style="color:var(--text-muted); font-size:0.8rem;">(${escapeHtml(AppState.fieldMap[issue.field])})</span>` : ''}</td>
+        <td><code>${escapeHtml(issue.value === undefined || issue.value === '' ? '(blank)' : issue.value)}</code></td>
+    </tr>`).join('');
+
+    if (rows.length > 500) {
+        UI.qualityTableBody.innerHTML += `<tr><td colspan="6" style="text-align:center; opacity:0.5;">...and ${rows.length - 500} more. Export CSV for the full list.</td></tr>`;
+    }
+}
+
+function exportDataQuality() {
+    const { issues } = AppState.dataQuality;
+    if (issues.length === 0) {
+        alert("No data quality issues to export.");
+        return;
+    }
+
+    const aoa = [['Sheet', 'Row', 'Campaign', 'Campaign ID', 'Advertiser', 'Issue', 'Field', 'Source Column', 'Value', 'Description']];
+    issues.forEach(issue => {
+        const rule = VALIDATION_RULES[issue.code] || { label: issue.code, description: '' };
+        aoa.push([
+            issue.sourceSheet || '',
+            issue.sourceRow,
+            issue.campaign || '',
+            issue.campaignId || '',
+            issue.advertiser || '',
+            rule.label,
+            FIELD_LABELS[issue.field] || issue.field,
+            AppState.fieldMap[issue.field] || '',
+            issue.value === undefined ? '' : String(issue.value),
+            rule.description
+        ]);
+    });
+
+    const worksheet = XLSX.utils.aoa_to_sheet(aoa);
+    downloadFile(`incremental-insights-data-quality-${new Date().toISOString().slice(0, 10)}.csv`, '\ufeff' + XLSX.utils.sheet_to_csv(worksheet), 'text/csv;charset=utf-8');
+}
+
+// --- Week-over-Week Comparison ---
+function setupComparison() {
+    if (!UI.btnCompare) return;
+
+    UI.btnCompare.addEventListener('click', () => UI.compareFileInput.click());
+    UI.compareFileInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        readWorkbook(file, workbook => {
+            setComparisonBaseline(file.name, workbook, loaded => {
+                if (!loaded) return;
+                UI.viewLevelSelect.value = 'comparison';
+                AppState.sortConfig.key = 'opportunityDelta';
+                AppState.sortConfig.direction = 'desc';
+                runCalculation();
+                saveSessionDataset();
+            });
+        });
+        UI.compareFileInput.value = '';
+    });
+
+    UI.btnClearComparison.addEventListener('click', () => {
+        clearComparison();
+        runCalculation();
+        saveSessionDataset();
+    });
+}
+
+// Normalize a previous report with the current mapping so rows can be matched by campaign.
+// onDone(loaded) is called once the baseline is in place, or with false if it couldn't be used.
+function setComparisonBaseline(fileName, workbook, onDone) {
+    // Use the same sheets as the current dataset where the previous file has them
+    const currentSheets = [...new Set(AppState.rawData.map(d => d.sourceSheet).filter(Boolean))];
+    let sheetNames = currentSheets.filter(name => workbook.sheetNames.includes(name));
+    if (sheetNames.length === 0) sheetNames = [workbook.sheetNames[0]];
+
+    const json = sheetsToRows(workbook, sheetNames);
+    if (json.length === 0) {
+        alert("The comparison file appears to be empty.");
+        onDone(false);
+        return;
+    }
+
+    // Weekly exports usually share a format: reuse the confirmed mapping,
+    // and fill any gaps from a matching profile or exact detection
+    const headers = getSourceHeaders(json);
+    const profile = findProfileForHeaders(headers);
+    const fieldMap = {
+        ...detectFieldMap(headers),
+        ...(profile ? filterMapToHeaders(profile.fieldMap, headers) : {}),
+        ...filterMapToHeaders(AppState.fieldMap, headers)
+    };
+
+    const missing = REQUIRED_FIELDS.filter(key => !fieldMap[key]);
+    if (missing.length > 0) {
+        alert(`The comparison file is missing: ${missing.map(key => FIELD_LABELS[key] || key).join(', ')}. Deltas for these will be inaccurate.`);
+    }
+
+    showProgress('Preparing comparison rows...', 0);
+    runEngineTask('normalize', { dataset: 'baseline', rows: json, fieldMap, kpiTypes: AppState.kpiTypes }, {
+        onProgress: progress => showProgress('Preparing comparison rows...', progress),
+        onDone: rows => {
+            hideProgress();
+            AppState.comparison = {
+                previousName: fileName,
+                currentName: AppState.fileName,
+                previousRows: rows
+            };
+            updateComparisonControls();
+            onDone(true);
+        },
+        onError: message => {
+            hideProgress();
+            alert(`Error processing the comparison file: ${message}`);
+            onDone(false);
+        }
+    });
+}
+
+function clearComparison() {
+    AppState.comparison = null;
+    runEngineTask('drop', { dataset: 'baseline' });
+    updateComparisonControls();
+}
+
+function updateComparisonControls() {
+    const active = !!AppState.comparison;
+    const option = UI.viewLevelSelect ? UI.viewLevelSelect.querySelector('option[value="comparison"]') : null;
+
+    if (option) option.disabled = !active;
+    if (!active && UI.viewLevelSelect && UI.viewLevelSelect.value === 'comparison') {
+        UI.viewLevelSelect.value = 'pivot';
+        AppState.sortConfig.key = 'calculatedOpportunity';
+    }
+    if (UI.btnClearComparison) UI.btnClearComparison.classList.toggle('hidden', !active);
+}
+
+// Campaign ID is the stable key between exports; fall back to name when the ID column is missing
+function comparisonKey(item) {
+    if (item.campaignId) return `id:${item.campaignId}`;
+    return `name:${String(item.campaign || '').toLowerCase()}`;
+}
+
+function buildComparisonRows(currentData) {
+    const matchesFilters = buildFilterPredicate();
+    const dupFilter = UI.filterDuplicate ? UI.filterDuplicate.value : 'none';
+    const previousData = applyDuplicateHandling(AppState.comparison.previousRows.filter(matchesFilters), dupFilter);
+
+    const toMap = list => {
+        const map = new Map();
+        list.forEach(item => {
+            const key = comparisonKey(item);
+            if (!map.has(key)) map.set(key, item); // first row wins for duplicate IDs
+        });
+        return map;
+    };
+    const previousMap = toMap(previousData);
+    const currentMap = toMap(currentData);
+
+    const rows = [];
+    currentMap.forEach((curr, key) => rows.push(buildComparisonRow(previousMap.get(key), curr)));
+    previousMap.forEach((prev, key) => {
+        if (!currentMap.has(key)) rows.push(buildComparisonRow(prev, null));
+    });
+    return rows;
+}
+
+function buildComparisonRow(prev, curr) {
+    const base = curr || prev;
+    // Pacing/score/KPI deltas only make sense for campaigns present in both weeks.
+    // Money deltas treat a missing week as 0 so new/ended campaigns count towards the change.
+    const delta = key => (curr && prev) ? (curr[key] || 0) - (prev[key] || 0) : null;
+    const moneyDelta = key => ((curr && curr[key]) || 0) - ((prev && prev[key]) || 0);
+
+    return {
+        status: !prev ? 'new' : (!curr ? 'ended' : 'matched'),
+        partner: base.partner,
+        advertiser: base.advertiser,
+        campaign: base.campaign,
+        campaignId: base.campaignId,
+        kpiType: base.kpiType,
+        currency: rowCurrency(base),
+        pacing: curr ? curr.pacing : prev.pacing,
+        pacingDelta: delta('pacing'),
+        score: curr ? curr.score : prev.score,
+        scoreDelta: delta('score'),
+        kpiPerfRatio: curr ? curr.kpiPerfRatio : prev.kpiPerfRatio,
+        kpiPerfDelta: delta('kpiPerfRatio'),
+        calculatedOpportunity: curr ? curr.calculatedOpportunity : 0,
+        opportunityDelta: moneyDelta('calculatedOpportunity'),
+        spendRisk: curr ? (curr.spendRisk || 0) : 0,
+        spendRiskDelta: moneyDelta('spendRisk')
+    };
+}
+
+function renderComparisonView(data) {
+    if (!AppState.comparison) {
+        UI.tableHead.innerHTML = '';
+        UI.tableBody.innerHTML = `<tr><td style="text-align:center; opacity:0.6;">Load a previous report to compare.</td></tr>`;
+        return;
+    }
+
+    const rows = sortRows(buildComparisonRows(data), AppState.sortConfig);
+    const { key: sortKey, direction } = AppState.sortConfig;
+
+    // Summary
+    const newCount = rows.filter(r => r.status === 'new').length;
+    const endedCount = rows.filter(r => r.status === 'ended').length;
+    const oppChange = sumByCurrency(rows, r => r.opportunityDelta);
+    UI.tableTitle.textContent = `Week-over-Week: ${AppState.comparison.previousName} → ${AppState.comparison.currentName}`;
+    if (UI.comparisonSummary) {
+        UI.comparisonSummary.innerHTML = `${newCount} new · ${endedCount} ended · ${rows.length - newCount - endedCount} matched · Opp. change ${Object.keys(oppChange).length ? Object.entries(oppChange).map(([currency, change]) => formatDelta(change, v => formatCurrency(v, currency))).join(' + ') : formatDelta(0, formatCurrency)}`;
+        UI.comparisonSummary.classList.remove('hidden');
+    }
+
+    const keys = ['status', 'partner', 'advertiser', 'campaign', 'pacing', 'pacingDelta', 'score', 'scoreDelta', 'kpiPerfRatio', 'kpiPerfDelta', 'calculatedOpportunity', 'opportunityDelta', 'spendRisk', 'spendRiskDelta'];
+    const headers = ['Status', 'Partner', 'Advertiser', 'Campaign', 'Pacing', 'Δ Pacing', 'Score', 'Δ Score', 'KPI Perf.', 'Δ KPI Perf.', 'Inc. Opp.', 'Δ Inc. Opp.', 'Spend Risk', 'Δ Spend Risk'];
+
+    AppState.tableExport = { name: 'comparison', columns: buildExportColumns(keys, headers), rows };
+
+    let htmlHead = '<tr>';
+    headers.forEach((h, index) => {
+        const key = keys[index];
+        const arrow = sortKey === key ? (direction === 'asc' ? '▲' : '▼') : '';
+        htmlHead += `<th style="cursor:pointer;" data-sort-key="${key}">${h} <span style="font-size:0.8rem; margin-left:4px;">${arrow}</span></th>`;
+    });
+    htmlHead += '</tr>';
+    UI.tableHead.innerHTML = htmlHead;
+
+    UI.tableHead.querySelectorAll('th').forEach(th => {
+        th.addEventListener('click', () => handleTableSort(th.dataset.sortKey));
+    });
+
+    const statusBadge = {
+        new: `<span class="badge" style="background:rgba(16, 185, 129, 0.1); color:var(--success);">New</span>`,
+        ended: `<span class="badge" style="background:rgba(239, 68, 68, 0.1); color:var(--danger);">Ended</span>`,
+        matched: `<span class="badge">Matched</span>`
+    };
+
+    const { start, end } = getPageRange(rows.length);
+    const subset = rows.slice(start, end);
+    UI.tableBody.innerHTML = subset.map(r => {
+        // For cost KPIs a falling ratio is an improvement
+        const kpiHigherIsBetter = !isLowerBetterKpi(r.kpiType);
+        const isEnded = r.status === 'ended';
+
+        return `<tr style="${isEnded ? 'opacity:0.6;' : ''}">
+            <td>${statusBadge[r.status]}</td>
+            <td>${escapeHtml(r.partner || '-')}</td>
+            <td>${escapeHtml(r.advertiser || '-')}</td>
+            <td><div style="max-width:200px; overflow:hidden; text-overflow:ellipsis;" title="${escapeHtml(r.campaign || '')}">${escapeHtml(r.campaign || '-')}</div></td>
+            <td>${formatPercent(r.pacing)}</td>
+            <td>${formatDelta(r.pacingDelta, v => Math.round(v) + ' pp')}</td>
+            <td>${r.score || 0}</td>
+            <td>${formatDelta(r.scoreDelta, v => Math.round(v))}</td>
+            <td>${r.kpiPerfRatio ? formatRatio(r.kpiPerfRatio) : '-'}</td>
+            <td>${formatDelta(r.kpiPerfDelta, v => Math.round(v * 100) + ' pp', kpiHigherIsBetter)}</td>
+            <td>${isEnded ? '-' : formatCurrency(r.calculatedOpportunity, r.currency)}</td>
+            <td>${formatDelta(r.opportunityDelta, v => formatCurrency(v, r.currency))}</td>
+            <td>${isEnded ? '-' : formatCurrency(r.spendRisk, r.currency)}</td>
+            <td>${formatDelta(r.spendRiskDelta, v => formatCurrency(v, r.currency))}</td>
+        </tr>`;
+    }).join('');
+
+    renderPagination(rows.length, true);
+}
+
+// Signed, colored delta. higherIsBetter=false flips the colors (e.g. CPA).
+function formatDelta(val, formatter, higherIsBetter = true) {
+    if (val === null || val === undefined || isNaN(val)) return '-';
+    if (Math.abs(val) < 1e-9) return `<span style="color:var(--text-muted);">${formatter(0)}</span>`;
+
+    const isGood = higherIsBetter ? val > 0 : val < 0;
+    const sign = val > 0 ? '+' : '-';
+    return `<span style="color:${isGood ? 'var(--success)' : 'var(--danger)'}; font-weight:500;">${sign}${formatter(Math.abs(val))}</span>`;
+}
+
+
+// --- Session Persistence ---
+// The last dataset and the filter/slider/view/sort settings are kept in IndexedDB, on this
+// machine only, so a reload doesn't lose the work. The upload screen offers to resume it,
+// or to clear the saved data. Records: 'summary' (for the resume card), 'dataset', 'viewState'.
+const SESSION_DB = {
+    name: 'incrementalInsights',
+    version: 1,
+    store: 'session'
+};
+
+const SESSION_SAVE_DELAY_MS = 500;
+
+function setupSession() {
+    if (!UI.resumeSession) return;
+
+    UI.btnResumeSession.addEventListener('click', resumeSession);
+    UI.btnClearSession.addEventListener('click', () => {
+        if (!confirm("Remove the saved session data from this browser?")) return;
+        clearSession(() => UI.resumeSession.classList.add('hidden'));
+    });
+
+    readSessionRecords(['summary'], ({ summary }) => {
+        if (!summary) return;
+
+        const parts = [
+            `<strong>${escapeHtml(summary.fileName || 'Untitled')}</strong>`,
+            `${formatNumber(summary.rowCount)} rows`
+        ];
+        if (summary.comparisonName) parts.push(`compared with ${escapeHtml(summary.comparisonName)}`);
+        parts.push(`saved ${new Date(summary.savedAt).toLocaleString()}`);
+
+        UI.resumeSessionInfo.innerHTML = parts.join(' · ');
+        UI.resumeSession.classList.remove('hidden');
+    });
+}
+
+function openSessionDb(onOpen, onError) {
+    if (!window.indexedDB) {
+        if (onError) onError(new Error('IndexedDB is not available'));
+        return;
+    }
+
+    const request = indexedDB.open(SESSION_DB.name, SESSION_DB.version);
+    request.onupgradeneeded = () => request.result.createObjectStore(SESSION_DB.store);
+    request.onsuccess = () => onOpen(request.result);
+    request.onerror = () => {
+        console.error(request.error);
+        if (onError) onError(request.error);
+    };
+}
+
+function writeSessionRecords(records) {
+    openSessionDb(db => {
+        const tx = db.transaction(SESSION_DB.store, 'readwrite');
+        const store = tx.objectStore(SESSION_DB.store);
+        Object.entries(records).forEach(([key, value]) => store.put(value, key));
+        tx.oncomplete = () => db.close();
+        tx.onerror = () => {
+            // Most likely over quota; the dashboard keeps working without persistence
+            console.error(tx.error);
+            db.close();
+        };
+    });
+}
+
+// onRead receives { key: value } for the keys found (missing ones are undefined)
+function readSessionRecords(keys, onRead) {
+    openSessionDb(db => {
+        const tx = db.transaction(SESSION_DB.store, 'readonly');
+        const store = tx.objectStore(SESSION_DB.store);
+        const result = {};
+        keys.forEach(key => {
+            const request = store.get(key);
+            request.onsuccess = () => result[key] = request.result;
+        });
+        tx.oncomplete = () => {
+            db.close();
+            onRead(result);
+        };
+        tx.onerror = () => {
+            console.error(tx.error);
+            db.close();
+            onRead({});
+        };
+    }, () => onRead({}));
+}
+
+function clearSession(onDone) {
+    openSessionDb(db => {
+        const tx = db.transaction(SESSION_DB.store, 'readwrite');
+        tx.objectStore(SESSION_DB.store).clear();
+        tx.oncomplete = () => {
+            db.close();
+            if (onDone) onDone();
+        };
+    });
+}
+
+// Save the loaded dataset (after upload, re-mapping or a comparison change)
+function saveSessionDataset() {
+    if (!AppState.rawData.length) return;
+
+    writeSessionRecords({
+        summary: {
+            fileName: AppState.fileName,
+            rowCount: AppState.rawData.length,
+            comparisonName: AppState.comparison ? AppState.comparison.previousName : null,
+            savedAt: Date.now()
+        },
+        dataset: {
+            fileName: AppState.fileName,
+            fieldMap: AppState.fieldMap,
+            activeProfile: AppState.activeProfile,
+            rows: AppState.rawData,
+            comparison: AppState.comparison
+        },
+        viewState: readViewState()
+    });
+}
+
+const scheduleViewStateSave = debounce(() => {
+    if (AppState.rawData.length) writeSessionRecords({ viewState: readViewState() });
+}, SESSION_SAVE_DELAY_MS);
+
+// Everything about how the dataset is being looked at, as plain data
+function readViewState() {
+    return {
+        filters: { ...AppState.filters },
+        sliders: {
+            score: UI.filterScore ? UI.filterScore.value : null,
+            pacing: UI.filterPacing ? UI.filterPacing.value : null,
+            kpiBuffer: UI.filterKpiBuffer ? UI.filterKpiBuffer.value : null,
+            incBuffer: UI.filterIncBuffer ? UI.filterIncBuffer.value : null
+        },
+        viewLevel: UI.viewLevelSelect ? UI.viewLevelSelect.value : 'pivot',
+        pivot: {
+            dimensions: [...AppState.pivotConfig.dimensions],
+            metrics: [...AppState.pivotConfig.metrics]
+        },
+        sortConfig: { ...AppState.sortConfig },
+        pageSize: AppState.pagination.pageSize
+    };
+}
+
+// Put saved settings back on the controls. Values that no longer exist in the data
+// (e.g. a partner that isn't in this file) are skipped. Call applyFilters() afterwards.
+function applyViewState(state) {
+    const setSelect = (select, value) => {
+        if (!select || value === undefined || value === null) return;
+        const option = Array.from(select.options).find(o => o.value === String(value));
+        if (option && !option.disabled) select.value = option.value;
+    };
+    const setChecks = (container, selector, values) => {
+        if (!container || !Array.isArray(values)) return;
+        container.querySelectorAll(selector).forEach(cb => cb.checked = values.includes(cb.value));
+    };
+
+    const filters = state.filters || {};
+    setSelect(UI.filterPartner, filters.partner);
+    setSelect(UI.filterAdvertiser, filters.advertiser);
+    setSelect(UI.filterCampaign, filters.campaign);
+    setSelect(UI.filterSheet, filters.sheet);
+    setSelect(UI.filterDuplicate, filters.duplicate);
+    setChecks(UI.filterKpiContainer, '.kpi-checkbox', filters.kpiTypes);
+    setChecks(UI.filterAudienceContainer, '.audience-checkbox', filters.audienceTypes);
+    if (filters.beatingKpi !== undefined) UI.filterBeatingKpi.checked = !!filters.beatingKpi;
+    if (UI.filterUnderPacing && filters.underPacing !== undefined) UI.filterUnderPacing.checked = !!filters.underPacing;
+    if (filters.pacingRange !== undefined) AppState.pacingRange = filters.pacingRange;
+
+    const sliders = state.sliders || {};
+    if (UI.filterScore && sliders.score !== null && sliders.score !== undefined) UI.filterScore.value = sliders.score;
+    if (UI.filterPacing && sliders.pacing !== null && sliders.pacing !== undefined) UI.filterPacing.value = sliders.pacing;
+    if (UI.filterKpiBuffer && sliders.kpiBuffer !== null && sliders.kpiBuffer !== undefined) UI.filterKpiBuffer.value = sliders.kpiBuffer;
+    if (UI.filterIncBuffer && sliders.incBuffer !== null && sliders.incBuffer !== undefined) UI.filterIncBuffer.value = sliders.incBuffer;
+    updateSliderLabels();
+
+    setSelect(UI.viewLevelSelect, state.viewLevel);
+    if (state.pivot) {
+        const dimensions = AppState.pivotConfig.dimensions.join();
+        AppState.pivotConfig = sanitizePivotConfig({ ...AppState.pivotConfig, ...state.pivot });
+        if (AppState.pivotConfig.dimensions.join() !== dimensions) AppState.pivotExpanded.clear();
+        renderPivotConfig();
+    }
+    if (state.sortConfig && state.sortConfig.key) {
+        AppState.sortConfig.key = state.sortConfig.key;
+        AppState.sortConfig.direction = state.sortConfig.direction === 'asc' ? 'asc' : 'desc';
+    }
+    if (state.pageSize && UI.pageSizeSelect) {
+        setSelect(UI.pageSizeSelect, state.pageSize);
+        AppState.pagination.pageSize = parseInt(UI.pageSizeSelect.value);
+    }
+}
+
+function resumeSession() {
+    showProgress('Restoring last session...', null);
+
+    readSessionRecords(['dataset', 'viewState'], ({ dataset, viewState }) => {
+        hideProgress();
+        if (!dataset || !Array.isArray(dataset.rows) || dataset.rows.length === 0) {
+            alert("The saved session could not be read. Please upload the file again.");
+            UI.resumeSession.classList.add('hidden');
+            return;
+        }
+
+        AppState.fileName = dataset.fileName || '';
+        AppState.fieldMap = dataset.fieldMap || {};
+        AppState.activeProfile = dataset.activeProfile || null;
+        AppState.rawData = dataset.rows;
+        AppState.sourceRows = dataset.rows.map(item => item._row); // So the mapping can still be edited
+        AppState.comparison = dataset.comparison || null;
+        buildDataQualityReport(AppState.rawData);
+
+        // The engine needs its own copy of the rows to recalculate
+        runEngineTask('load', { dataset: 'current', rows: AppState.rawData });
+        if (AppState.comparison) runEngineTask('load', { dataset: 'baseline', rows: AppState.comparison.previousRows });
+        updateComparisonControls();
+
+        AppState.processedData = [...AppState.rawData];
+        populateFilters(AppState.processedData);
+        if (viewState) applyViewState(viewState);
+        // A shared link opened on top of a resumed session wins over the saved settings
+        const linked = readViewStateFromHash();
+        if (linked) applyViewState(linked);
+
+        applyFilters();
+        transitionToDashboard();
+    });
+}
+
+// --- Shareable Links ---
+// The view state (filters, sliders, view level, sort) lives in the URL hash, so a link
+// reproduces the same view once the same file is loaded. Only settings go into the URL, never data.
+// Short parameter names keep links readable: #partner=Acme&score=120&view=advertiser&sort=score:desc
+const HASH_FILTER_PARAMS = {
+    partner: 'partner',
+    advertiser: 'advertiser',
+    campaign: 'campaign',
+    sheet: 'sheet',
+    duplicate: 'dedup'
+};
+
+const HASH_SLIDER_PARAMS = {
+    score: 'score',
+    pacing: 'pacing',
+    kpiBuffer: 'kpiBuffer',
+    incBuffer: 'incBuffer'
+};
+
+function setupShareableLinks() {
+    // Someone pasted a different link into an open dashboard
+    window.addEventListener('hashchange', () => {
+        const linked = readViewStateFromHash();
+        if (!linked || !AppState.rawData.length) return;
+        applyViewState(linked);
+        applyFilters();
+    });
+
+    if (!UI.btnCopyLink) return;
+    UI.btnCopyLink.addEventListener('click', () => {
+        updateUrlHash();
+        const done = () => {
+            const original = UI.btnCopyLink.innerHTML;
+            UI.btnCopyLink.innerHTML = `<i data-lucide="check"></i> Copied`;
+            if (window.lucide) lucide.createIcons();
+            setTimeout(() => UI.btnCopyLink.innerHTML = original, 2000);
+        };
+
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(location.href).then(done, () => prompt("Copy this link:", location.href));
+        } else {
+            prompt("Copy this link:", location.href);
+        }
+    });
+}
+
+function viewStateToHash(state) {
+    const params = new URLSearchParams();
+    const filters = state.filters || {};
+
+    Object.entries(HASH_FILTER_PARAMS).forEach(([key, param]) => {
+        if (filters[key] !== undefined) params.set(param, filters[key]);
+    });
+
+    // Lists are repeated parameters; a single empty one means "none selected"
+    [['kpi', filters.kpiTypes], ['audience', filters.audienceTypes]].forEach(([param, values]) => {
+        if (!Array.isArray(values)) return;
+        if (values.length === 0) params.append(param, '');
+        values.forEach(value => params.append(param, value));
+    });
+
+    params.set('beating', filters.beatingKpi ? '1' : '0');
+    params.set('underPacing', filters.underPacing ? '1' : '0');
+    params.set('pacingRange', filters.pacingRange ? `${filters.pacingRange.min}-${filters.pacingRange.max}` : '');
+
+    Object.entries(HASH_SLIDER_PARAMS).forEach(([key, param]) => {
+        const value = state.sliders ? state.sliders[key] : null;
+        if (value !== null && value !== undefined) params.set(param, value);
+    });
+
+    if (state.viewLevel) params.set('view', state.viewLevel);
+    if (state.pivot) {
+        state.pivot.dimensions.forEach(key => params.append('group', key));
+        if (state.pivot.metrics.length === 0) params.append('metric', '');
+        state.pivot.metrics.forEach(key => params.append('metric', key));
+    }
+    if (state.sortConfig && state.sortConfig.key) params.set('sort', `${state.sortConfig.key}:${state.sortConfig.direction}`);
+
+    return params.toString();
+}
+
+// Parse the hash into the shape readViewState() returns. Only what the link mentions is set,
+// so applyViewState() leaves everything else alone. Returns null when there's no view state.
+function readViewStateFromHash() {
+    const hash = location.hash.replace(/^#/, '');
+    if (!hash) return null;
+
+    const params = new URLSearchParams(hash);
+    const state = { filters: {}, sliders: {} };
+    let found = false;
+
+    Object.entries(HASH_FILTER_PARAMS).forEach(([key, param]) => {
+        if (params.has(param)) {
+            state.filters[key] = params.get(param);
+            found = true;
+        }
+    });
+
+    [['kpi', 'kpiTypes'], ['audience', 'audienceTypes']].forEach(([param, key]) => {
+        if (params.has(param)) {
+            state.filters[key] = params.getAll(param).filter(Boolean);
+            found = true;
+        }
+    });
+
+    [['beating', 'beatingKpi'], ['underPacing', 'underPacing']].forEach(([param, key]) => {
+        if (params.has(param)) {
+            state.filters[key] = params.get(param) === '1';
+            found = true;
+        }
+    });
+
+    if (params.has('pacingRange')) {
+        const [min, max] = params.get('pacingRange').split('-').map(Number);
+        state.filters.pacingRange = isNaN(min) || isNaN(max) ? null : { min, max };
+        found = true;
+    }
+
+    Object.entries(HASH_SLIDER_PARAMS).forEach(([key, param]) => {
+        const value = parseFloat(params.get(param));
+        if (!isNaN(value)) {
+            state.sliders[key] = value;
+            found = true;
+        }
+    });
+
+    if (params.has('view')) {
+        state.viewLevel = params.get('view');
+        found = true;
+    }
+
+    if (params.has('group') || params.has('metric')) {
+        state.pivot = {};
+        if (params.has('group')) state.pivot.dimensions = params.getAll('group').filter(Boolean);
+        if (params.has('metric')) state.pivot.metrics = params.getAll('metric').filter(Boolean);
+        found = true;
+    }
+
+    if (params.has('sort')) {
+        const [key, direction] = params.get('sort').split(':');
+        if (key) {
+            state.sortConfig = { key, direction };
+            found = true;
+        }
+    }
+
+    return found ? state : null;
+}
+
+// Keep the address bar in sync without adding a history entry per slider move
+function updateUrlHash() {
+    if (!AppState.rawData.length) return;
+
+    const hash = '#' + viewStateToHash(readViewState());
+    if (location.hash !== hash) history.replaceState(null, '', hash);
+}
+
+// --- Email Builder ---
+function setupNavigation() {
+    UI.btnViewData.addEventListener('click', () => switchView('data'));
+    UI.btnViewEmail.addEventListener('click', () => switchView('email'));
+    UI.btnViewPacingEmail.addEventListener('click', () => switchView('email-pacing'));
+    if (UI.btnViewQuality) UI.btnViewQuality.addEventListener('click', () => switchView('quality'));
+    if (UI.btnViewScenarios) UI.btnViewScenarios.addEventListener('click', () => switchView('scenarios'));
+    if (UI.btnViewCharts) UI.btnViewCharts.addEventListener('click', () => switchView('charts'));
+
+    document.getElementById('btn-back-data')?.addEventListener('click', () => switchView('data'));
+    UI.btnBackDataPacing?.addEventListener('click', () => switchView('data'));
+}
+
+function switchView(view) {
+    // Hide all first
+    UI.viewData.classList.add('hidden');
+    UI.viewData.classList.remove('active');
+    UI.viewEmail.classList.add('hidden');
+    UI.viewEmail.classList.remove('active');
+    if (UI.viewEmailPacing) {
+        UI.viewEmailPacing.classList.add('hidden');
+        UI.viewEmailPacing.classList.remove('active');
+    }
+    if (UI.viewQuality) {
+        UI.viewQuality.classList.add('hidden');
+        UI.viewQuality.classList.remove('active');
+    }
+    if (UI.viewFormula) {
+        UI.viewFormula.classList.add('hidden');
+        UI.viewFormula.classList.remove('active');
+    }
+    if (UI.viewScenarios) {
+        UI.viewScenarios.classList.add('hidden');
+        UI.viewScenarios.classList.remove('active');
+    }
+    if (UI.viewCharts) {
+        UI.viewCharts.classList.add('hidden');
+        UI.viewCharts.classList.remove('active');
+    }
+    if (UI.viewKpiTypes) {
+        UI.viewKpiTypes.classList.add('hidden');
+        UI.viewKpiTypes.classList.remove('active');
+    }
+    if (UI.viewFx) {
+        UI.viewFx.classList.add('hidden');
+        UI.viewFx.classList.remove('active');
+    }
+    if (UI.viewEmailTemplates) {
+        UI.viewEmailTemplates.classList.add('hidden');
+        UI.viewEmailTemplates.classList.remove('active');
+    }
+    if (UI.viewContacts) {
+        UI.viewContacts.classList.add('hidden');
+        UI.viewContacts.classList.remove('active');
+    }
+
+    // buttons
+    UI.btnViewData.classList.remove('active');
+    UI.btnViewEmail.classList.remove('active');
+    UI.btnViewPacingEmail.classList.remove('active');
+    if (UI.btnViewQuality) UI.btnViewQuality.classList.remove('active');
+    if (UI.btnViewScenarios) UI.btnViewScenarios.classList.remove('active');
+    if (UI.btnViewCharts) UI.btnViewCharts.classList.remove('active');
+    if (UI.btnViewKpiTypes) UI.btnViewKpiTypes.classList.remove('active');
+    if (UI.btnViewContacts) UI.btnViewContacts.classList.remove('active');
+
+    if (view === 'data') {
+        UI.viewData.classList.remove('hidden');
+        UI.viewData.classList.add('active');
+        UI.btnViewData.classList.add('active');
+    } else if (view === 'email') {
+        UI.viewEmail.classList.remove('hidden');
+        UI.viewEmail.classList.add('active');
+        UI.btnViewEmail.classList.add('active');
+        updateEmailTargets();
+    } else if (view === 'email-pacing') {
+        UI.viewEmailPacing.classList.remove('hidden');
+        UI.viewEmailPacing.classList.add('active');
+        UI.btnViewPacingEmail.classList.add('active');
+        updatePacingEmailTargets();
+    } else if (view === 'quality') {
+        UI.viewQuality.classList.remove('hidden');
+        UI.viewQuality.classList.add('active');
+        UI.btnViewQuality.classList.add('active');
+        renderDataQuality();
+    } else if (view === 'formula') {
+        UI.viewFormula.classList.remove('hidden');
+        UI.viewFormula.classList.add('active');
+        renderFormulaSelect();
+        UI.formulaEditSelect.value = UI.filterFormula.value;
+        loadFormulaIntoEditor(getActiveFormula());
+    } else if (view === 'scenarios') {
+        UI.viewScenarios.classList.remove('hidden');
+        UI.viewScenarios.classList.add('active');
+        UI.btnViewScenarios.classList.add('active');
+        renderScenarios();
+    } else if (view === 'charts') {
+        UI.viewCharts.classList.remove('hidden');
+        UI.viewCharts.classList.add('active');
+        UI.btnViewCharts.classList.add('active');
+        renderCharts();
+    } else if (view === 'kpi-types') {
+        UI.viewKpiTypes.classList.remove('hidden');
+        UI.viewKpiTypes.classList.add('active');
+        UI.btnViewKpiTypes.classList.add('active');
+        renderKpiTypeEditor();
+    } else if (view === 'fx') {
+        UI.viewFx.classList.remove('hidden');
+        UI.viewFx.classList.add('active');
+        renderFxEditor();
+    } else if (view === 'email-templates') {
+        UI.viewEmailTemplates.classList.remove('hidden');
+        UI.viewEmailTemplates.classList.add('active');
+    } else if (view === 'contacts') {
+        UI.viewContacts.classList.remove('hidden');
+        UI.viewContacts.classList.add('active');
+        UI.btnViewContacts.classList.add('active');
+        renderContactsEditor();
+    }
+}
+
+function setupEmailBuilder() {
+    UI.emailTemplateType.addEventListener('change', updateEmailTargets);
+    UI.btnGenerateEmail.addEventListener('click', generateEmail);
+    UI.btnCopyEmail.addEventListener('click', copyEmail);
+    UI.btnDownloadEmail?.addEventListener('click', () => downloadEmailDraft('opportunity'));
+    UI.btnMailtoEmail?.addEventListener('click', () => openEmailDraftInMail('opportunity'));
+    UI.emailPreviewMode?.addEventListener('change', () => renderEmailPreviewMode('opportunity'));
+    setupEmailBatch();
+}
+
+function setupPacingEmailBuilder() {
+    if (!UI.pacingEmailTemplateType) return;
+    UI.pacingEmailTemplateType.addEventListener('change', updatePacingEmailTargets);
+    UI.btnGeneratePacingEmail.addEventListener('click', generatePacingEmail);
+    UI.btnCopyPacingEmail.addEventListener('click', copyPacingEmail);
+    UI.btnDownloadPacingEmail?.addEventListener('click', () => downloadEmailDraft('pacing'));
+    UI.btnMailtoPacingEmail?.addEventListener('click', () => openEmailDraftInMail('pacing'));
+    UI.pacingEmailPreviewMode?.addEventListener('change', () => renderEmailPreviewMode('pacing'));
+}
+
+function setupHelpListeners() {
+    UI.btnHelp.addEventListener('click', () => toggleHelp(true));
+    UI.btnBackHome.addEventListener('click', () => toggleHelp(false));
+}
+
+function toggleHelp(show) {
+    if (show) {
+        // Save current view state implicitly by verifying which one is not hidden later
+        // Just hide both main sections and show help
+        UI.uploadSection.classList.add('hidden');
+        UI.dashboardSection.classList.add('hidden');
+        UI.howItWorksSection.classList.remove('hidden');
+    } else {
+        // Return. If data processed, go to dashboard. Else upload.
+        UI.howItWorksSection.classList.add('hidden');
+
+        if (AppState.processedData.length > 0) {
+            UI.dashboardSection.classList.remove('hidden');
+        } else {
+            UI.uploadSection.classList.remove('hidden');
         }
-    }).join('');
+    }
+}
+
+function updateEmailTargets() {
+    const type = UI.emailTemplateType.value;
+    let options = [];
+
+    // Based on filtered data
+    const data = AppState.processedData;
+
+    if (type === 'partner') {
+        UI.emailTargetLabel.textContent = "Select Partner";
+        options = [...new Set(data.map(d => d.partner).filter(Boolean))].sort();
+    } else if (type === 'advertiser') {
+        UI.emailTargetLabel.textContent = "Select Advertiser";
+        options = [...new Set(data.map(d => d.advertiser).filter(Boolean))].sort();
+    } else {
+        UI.emailTargetLabel.textContent = "Select Campaign";
+        options = data.map(d => d.campaign).filter(Boolean).sort();
+    }
 
-    if (tableData.length > 100) {
-        UI.tableBody.innerHTML += `<tr><td colspan="${headers.length}" style="text-align:center; opacity:0.5;">...and ${tableData.length - 100} more rows</td></tr>`;
+    fillSelect(UI.emailTargetSelect, options);
+    if (UI.emailBatchLabel) UI.emailBatchLabel.textContent = `Draft for Every ${EMAIL_LEVEL_LABELS[type]}`;
+}
+
+function generateEmail() {
+    const type = UI.emailTemplateType.value;
+    const target = UI.emailTargetSelect.value;
+
+    if (!target) {
+        showEmailDraft('opportunity', null, "Please select a target first.");
+        return;
+    }
+
+    const opportunities = getOpportunityEmailRows(type, target);
+
+    if (opportunities.length === 0) {
+        const scoreThreshold = UI.filterScore ? UI.filterScore.value : 100;
+        showEmailDraft('opportunity', null, `No qualifying incremental opportunities found for '${target}' based on current logic (Score > ${scoreThreshold}, Pacing ~100%).`);
+        return;
     }
+
+    const template = getEmailTemplate('opportunity', UI.emailStyle.value);
+    showEmailDraft('opportunity', composeEmail(template, buildEmailContext('opportunity', type, target, opportunities)));
 }
 
-function renderPivotView(data) {
-    // 1. Build Hierarchy
-    // Partner -> Advertiser -> Campaign
-    const tree = {};
+// All campaigns (filtered) of one partner/advertiser/campaign
+function getEmailScope(type, target) {
+    const data = AppState.processedData;
+    if (type === 'partner') return data.filter(d => d.partner === target);
+    if (type === 'advertiser') return data.filter(d => d.advertiser === target);
+    return data.filter(d => d.campaign === target);
+}
 
-    data.forEach(item => {
-        const pName = item.partner || 'Unknown Partner';
-        const aName = item.advertiser || 'Unknown Advertiser';
-
-        if (!tree[pName]) {
-            tree[pName] = {
-                id: `p-${sanitizeId(pName)}`,
-                name: pName,
-                metrics: createMetrics(),
-                children: {}
-            };
+// Qualifying campaigns for one partner/advertiser/campaign, after duplicate handling
+function getOpportunityEmailRows(type, target) {
+    // Duplicates are resolved before picking qualifying campaigns, the same way the table does
+    const dupFilter = UI.emailDuplicateFilter ? UI.emailDuplicateFilter.value : 'none';
+    return applyDuplicateHandling(getEmailScope(type, target), dupFilter).filter(d => d.calculatedOpportunity > 0);
+}
+
+function copyEmail() {
+    copyEmailDraft('opportunity');
+}
+
+// --- Batch Emails ---
+// One draft per partner/advertiser/campaign in the current filters, reviewed in a
+// list and downloaded as .eml files (zip) or a mail-merge CSV.
+function setupEmailBatch() {
+    if (!UI.btnGenerateEmailBatch) return;
+
+    UI.btnGenerateEmailBatch.addEventListener('click', generateEmailBatch);
+    UI.btnDownloadEml.addEventListener('click', downloadEmailBatchEml);
+    UI.btnDownloadEmailCsv.addEventListener('click', downloadEmailBatchCsv);
+    UI.btnCloseEmailBatch.addEventListener('click', () => {
+        AppState.emailBatch = null;
+        renderEmailBatch();
+    });
+
+    const showDraft = (e) => {
+        const item = e.target.closest('.email-batch-item[data-index]');
+        if (!item) return;
+        UI.emailBatchList.querySelectorAll('.email-batch-item.active').forEach(el => el.classList.remove('active'));
+        item.classList.add('active');
+        showEmailDraft('opportunity', AppState.emailBatch.drafts[item.dataset.index]);
+    };
+    UI.emailBatchList.addEventListener('click', showDraft);
+    UI.emailBatchList.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+            e.preventDefault();
+            showDraft(e);
         }
+    });
+}
 
-        if (!tree[pName].children[aName]) {
-            tree[pName].children[aName] = {
-                id: `p-${sanitizeId(pName)}-a-${sanitizeId(aName)}`,
-                name: aName,
-                metrics: createMetrics(),
-                children: [] // campaigns list
-            };
+function generateEmailBatch() {
+    const type = UI.emailTemplateType.value;
+    const targets = [...new Set(Array.from(UI.emailTargetSelect.options).map(o => o.value).filter(Boolean))];
+    if (targets.length === 0) {
+        alert("Nothing to draft. Load a file or loosen the filters first.");
+        return;
+    }
+
+    const template = getEmailTemplate('opportunity', UI.emailStyle.value);
+    const drafts = [];
+    const skipped = [];
+
+    targets.forEach(target => {
+        const rows = getOpportunityEmailRows(type, target);
+        if (rows.length === 0) {
+            skipped.push({ target, reason: describeNoOpportunity(getEmailScope(type, target)) });
+            return;
         }
+        const context = buildEmailContext('opportunity', type, target, rows);
+        drafts.push({
+            target,
+            count: rows.length,
+            totalOpportunity: context.totalOpportunity,
+            greeting: context.contact ? context.contact.greeting : '',
+            owner: context.owner,
+            ...composeEmail(template, context)
+        });
+    });
+
+    AppState.emailBatch = { type, templateName: template.name, drafts, skipped };
+    renderEmailBatch();
+    showEmailDraft('opportunity', drafts[0] || null, '');
+    UI.emailBatchList.querySelector('.email-batch-item[data-index]')?.classList.add('active');
+}
 
-        // Add campaign
-        tree[pName].children[aName].children.push(item);
+// Why none of these campaigns qualifies: the first formula condition each one fails
+function describeNoOpportunity(rows) {
+    const settings = getCalcSettings();
+    const reasons = new Map();
 
-        // Aggregate Metrics
-        accumulateMetrics(tree[pName].metrics, item);
-        accumulateMetrics(tree[pName].children[aName].metrics, item);
+    rows.forEach(item => {
+        const scope = buildFormulaScope(item, settings);
+        const failed = settings.formula.conditions.find(condition => !condition.fn(scope));
+        const reason = failed ? `"${failed.name || 'Unnamed condition'}" not met` : 'opportunity works out to 0';
+        reasons.set(reason, (reasons.get(reason) || 0) + 1);
     });
 
-    // 2. Sort Hierarchy
-    const sortConfig = AppState.sortConfig; // e.g. calculatedOpportunity desc
-    const sortFn = (a, b) => {
-        let valA, valB;
-        // Check if sorting by metric or name
-        if (sortConfig.key === 'partner' || sortConfig.key === 'advertiser' || sortConfig.key === 'campaign') {
-            valA = (a.name || a.campaign || '').toLowerCase();
-            valB = (b.name || b.campaign || '').toLowerCase();
+    const detail = [...reasons.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .map(([reason, count]) => `${reason} (${count})`)
+        .join(', ');
+    return `None of ${rows.length} campaign${rows.length === 1 ? '' : 's'} qualify: ${detail}.`;
+}
+
+function renderEmailBatch() {
+    const batch = AppState.emailBatch;
+    UI.emailBatch.classList.toggle('hidden', !batch);
+    if (!batch) return;
+
+    const level = EMAIL_LEVEL_LABELS[batch.type].toLowerCase();
+    UI.emailBatchSummary.textContent = `${batch.drafts.length} draft${batch.drafts.length === 1 ? '' : 's'}, ${batch.skipped.length} ${level}${batch.skipped.length === 1 ? '' : 's'} skipped · ${batch.templateName}`;
+    UI.btnDownloadEml.disabled = batch.drafts.length === 0;
+    UI.btnDownloadEmailCsv.disabled = batch.drafts.length === 0;
+
+    UI.emailBatchList.innerHTML = batch.drafts.map((draft, index) => `<li class="email-batch-item" data-index="${index}" tabindex="0">
+            <strong>${escapeHtml(draft.target)}</strong>
+            <span>${draft.count} campaign${draft.count === 1 ? '' : 's'} · ${escapeHtml(draft.totalOpportunity)} · ${draft.to ? `to ${escapeHtml(draft.to)}` : '<em>no contact</em>'}</span>
+        </li>`).join('') +
+        batch.skipped.map(skip => `<li class="email-batch-item skipped">
+            <strong>${escapeHtml(skip.target)}</strong>
+            <span>Skipped: ${escapeHtml(skip.reason)}</span>
+        </li>`).join('');
+}
+
+// Valid on every OS: no path separators or reserved characters
+function safeFileName(name) {
+    return String(name).replace(/[\\/:*?"<>|\x00-\x1f]+/g, '-').trim().slice(0, 80) || 'email';
+}
+
+function emailBatchFileName(extension) {
+    return `incremental-insights-emails-${AppState.emailBatch.type}-${new Date().toISOString().slice(0, 10)}.${extension}`;
+}
+
+function downloadEmailBatchEml() {
+    const batch = AppState.emailBatch;
+    if (!batch || batch.drafts.length === 0) return;
+
+    const zip = XLSX.CFB.utils.cfb_new();
+    const used = new Set();
+    batch.drafts.forEach(draft => {
+        // Names must be unique within the zip
+        const base = safeFileName(draft.target);
+        let name = base;
+        for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base} (${n})`;
+        used.add(name.toLowerCase());
+        XLSX.CFB.utils.cfb_add(zip, `/${name}.eml`, new TextEncoder().encode(buildEmlFile(draft)));
+    });
+
+    const bytes = XLSX.CFB.write(zip, { fileType: 'zip', type: 'array' });
+    downloadFile(emailBatchFileName('zip'), new Uint8Array(bytes), 'application/zip');
+}
+
+function downloadEmailBatchCsv() {
+    const batch = AppState.emailBatch;
+    if (!batch || batch.drafts.length === 0) return;
+
+    const aoa = [[EMAIL_LEVEL_LABELS[batch.type], 'To', 'CC', 'Greeting', 'Account Owner', 'Campaigns', 'Total Opportunity', 'Subject', 'Body', 'HTML Body']];
+    batch.drafts.forEach(draft => aoa.push([draft.target, draft.to, draft.cc, draft.greeting, draft.owner, draft.count, draft.totalOpportunity, draft.subject, draft.body, draft.html]));
+
+    const worksheet = XLSX.utils.aoa_to_sheet(aoa);
+    // BOM so Excel opens UTF-8 names correctly
+    downloadFile(emailBatchFileName('csv'), '\ufeff' + XLSX.utils.sheet_to_csv(worksheet), 'text/csv;charset=utf-8');
+}
+
+// --- PACING EMAIL LOGIC ---
+
+function updatePacingEmailTargets() {
+    const type = UI.pacingEmailTemplateType.value;
+    let options = [];
+    const data = AppState.processedData;
+
+    if (type === 'partner') {
+        UI.pacingEmailTargetLabel.textContent = "Select Partner";
+        options = [...new Set(data.map(d => d.partner).filter(Boolean))].sort();
+    } else if (type === 'advertiser') {
+        UI.pacingEmailTargetLabel.textContent = "Select Advertiser";
+        options = [...new Set(data.map(d => d.advertiser).filter(Boolean))].sort();
+    } else {
+        UI.pacingEmailTargetLabel.textContent = "Select Campaign";
+        options = data.map(d => d.campaign).filter(Boolean).sort();
+    }
+    fillSelect(UI.pacingEmailTargetSelect, options);
+}
+
+function generatePacingEmail() {
+    const type = UI.pacingEmailTemplateType.value;
+    const target = UI.pacingEmailTargetSelect.value;
+
+    if (!target) {
+        showEmailDraft('pacing', null, "Please select a target first.");
+        return;
+    }
+
+    const pacingData = getPacingEmailRows(type, target);
+
+    if (pacingData.length === 0) {
+        showEmailDraft('pacing', null, `No campaigns found pacing under ${getCalcThresholds().pacingThreshold}% for '${target}'.`);
+        return;
+    }
+
+    const template = getEmailTemplate('pacing', UI.pacingEmailStyle.value);
+    showEmailDraft('pacing', composeEmail(template, buildEmailContext('pacing', type, target, pacingData)));
+}
+
+// Under-pacing campaigns for one partner/advertiser/campaign, after duplicate handling,
+// biggest daily spend risk first
+function getPacingEmailRows(type, target) {
+    // Duplicates are resolved first, the same way the table does, then UNDER pacing
+    // (below the Min Pacing slider) campaigns are kept
+    const dupFilter = UI.pacingEmailDuplicateFilter ? UI.pacingEmailDuplicateFilter.value : 'none';
+    const { pacingThreshold } = getCalcThresholds();
+    const pacingData = applyDuplicateHandling(getEmailScope(type, target), dupFilter).filter(d => isUnderPacing(d, pacingThreshold));
+
+    // spendRisk is negative when under-delivering, so ascending puts the biggest risk first
+    return pacingData.sort((x, y) => (x.spendRisk || 0) - (y.spendRisk || 0) || parseFloat(x.pacing) - parseFloat(y.pacing));
+}
+
+// Severity bands for the pacing email, by pacing % (upper bound exclusive). The last band
+// ends at the Min Pacing slider, and bands starting at or above it are left out.
+const PACING_SEVERITY_BANDS = [
+    { id: 'critical', label: 'Critical', max: 80, action: 'Loosen targeting or raise bids now, and move budget to campaigns that can spend it if delivery does not recover within a few days.' },
+    { id: 'behind', label: 'Behind', max: 95, action: 'Broaden audiences or inventory and check that frequency caps and bid caps are not limiting delivery.' },
+    { id: 'watch', label: 'Watch', max: Infinity, action: 'Monitor daily; a small bid increase is usually enough to close the gap.' }
+];
+
+function getPacingBand(pacing) {
+    return PACING_SEVERITY_BANDS.find(band => parseFloat(pacing) < band.max) || PACING_SEVERITY_BANDS[PACING_SEVERITY_BANDS.length - 1];
+}
+
+// Non-empty bands for rows (already below pacingThreshold), in severity order. Band edges
+// are clamped to the slider, and bands that start at or above it are dropped.
+function groupPacingBands(rows, pacingThreshold) {
+    let min = 0;
+    return PACING_SEVERITY_BANDS.map(band => {
+        const from = min;
+        const to = Math.min(band.max, pacingThreshold);
+        min = band.max;
+        if (from >= pacingThreshold) return null;
+        const range = from === 0 ? `below ${to}%` : `${from}–${to}%`;
+        return { ...band, range, rows: rows.filter(item => getPacingBand(item.pacing) === band) };
+    }).filter(band => band && band.rows.length > 0);
+}
+
+// Pacing change since the comparison baseline, matched the way the comparison view matches rows
+const PREVIOUS_ROW_INDEX = new WeakMap();
+
+function formatPacingTrend(item) {
+    const comparison = AppState.comparison;
+    if (!comparison) return '-';
+    if (!PREVIOUS_ROW_INDEX.has(comparison)) {
+        const index = new Map();
+        comparison.previousRows.forEach(prev => {
+            if (!index.has(comparisonKey(prev))) index.set(comparisonKey(prev), prev);
+        });
+        PREVIOUS_ROW_INDEX.set(comparison, index);
+    }
+
+    const prev = PREVIOUS_ROW_INDEX.get(comparison).get(comparisonKey(item));
+    if (!prev) return 'New';
+    const delta = Math.round(((parseFloat(item.pacing) || 0) - (parseFloat(prev.pacing) || 0)) * 10) / 10;
+    if (delta === 0) return 'No change';
+    return `${delta > 0 ? 'Up' : 'Down'} ${Math.abs(delta)} pts`;
+}
+
+function copyPacingEmail() {
+    copyEmailDraft('pacing');
+}
+
+// --- Email Templates ---
+// Both email builders render through one small template language, so the built-in
+// styles and the user's own templates (Email Templates view) work the same way:
+//   {{name}}                 a placeholder from EMAIL_PLACEHOLDERS
+//   {{#rows}} ... {{/rows}}  repeated for each campaign, with the EMAIL_ROW_FIELDS inside;
+//                            {{#rows limit=5}} stops after five and sets {{more}} to the rest
+//   {{#name}} ... {{/name}}  only when the value is set and not 0 ({{^name}} for the opposite)
+//   **text**                 bold in the HTML version, plain in the text version
+// A block tag on a line of its own doesn't leave an empty line behind. In the HTML version
+// each rows block becomes a table with one column per campaign field it uses.
+const EMAIL_TEMPLATE_KINDS = {
+    opportunity: 'Opportunity',
+    pacing: 'Pacing'
+};
+
+const EMAIL_PLACEHOLDERS = {
+    target: { label: 'Selected partner, advertiser or campaign' },
+    level: { label: 'Partner, Advertiser or Campaign' },
+    count: { label: 'Campaigns in the email' },
+    totalOpportunity: { label: 'Total incremental opportunity', kinds: ['opportunity'] },
+    totalSpendRisk: { label: 'Total daily spend risk', kinds: ['pacing'] },
+    totalUnderDelivery: { label: 'Projected under-delivery over the remaining days', kinds: ['pacing'] },
+    totalBudgetRemaining: { label: 'Daily incremental budget × days remaining', kinds: ['pacing'] },
+    scoreThreshold: { label: 'Decision Power Score slider' },
+    pacingThreshold: { label: 'Min Pacing slider (%)', kinds: ['pacing'] },
+    bands: { label: 'Block repeated per severity band; rows, count and totals inside cover that band', kinds: ['pacing'], block: true },
+    band: { label: 'Band name (Critical, Behind, Watch)', kinds: ['pacing'], inBands: true },
+    bandRange: { label: 'Band pacing range, e.g. 80–95%', kinds: ['pacing'], inBands: true },
+    bandAction: { label: 'Suggested action for the band', kinds: ['pacing'], inBands: true },
+    hasTrend: { label: 'Set when a previous report is loaded for comparison' },
+    more: { label: 'Campaigns left out by the last limited rows block' },
+    date: { label: "Today's date" },
+    greeting: { label: 'Greeting name from Contacts, else "Team"' },
+    owner: { label: 'Account owner from Contacts' },
+    senderName: { label: 'Your name (Sender)' },
+    signature: { label: 'Your signature (Sender)' }
+};
+
+const EMAIL_ROW_FIELDS = {
+    campaign: { label: 'Campaign', value: item => item.campaign },
+    advertiser: { label: 'Advertiser', value: item => item.advertiser },
+    partner: { label: 'Partner', value: item => item.partner },
+    opportunity: { label: 'Opportunity', numeric: true, value: item => formatCurrency(item.calculatedOpportunity, rowCurrency(item)) },
+    dailyBudget: { label: 'Daily Incremental Budget', numeric: true, value: item => formatCurrency(item.incrementalBudget, rowCurrency(item)) },
+    budgetRemaining: { label: 'Incremental Budget × Days Left', numeric: true, value: item => formatCurrency(item.incrementalBudget * item.daysRemaining, rowCurrency(item)) },
+    spendRisk: { label: 'Daily Spend Risk', numeric: true, value: item => formatCurrency(item.spendRisk || 0, rowCurrency(item)) },
+    underDelivery: { label: 'Projected Under-Delivery', numeric: true, value: item => formatCurrency(item.projectedUnspent || 0, rowCurrency(item)) },
+    pacing: { label: 'Pacing', numeric: true, value: item => formatPercent(item.pacing) },
+    pacingTrend: { label: 'Pacing Trend', value: formatPacingTrend },
+    severity: { label: 'Severity', value: item => getPacingBand(item.pacing).label },
+    daysRemaining: { label: 'Days Remaining', numeric: true, value: item => item.daysRemaining },
+    kpiType: { label: 'KPI Type', value: item => item.kpiType },
+    avgKpi: { label: 'Avg. KPI', numeric: true, value: item => formatKpi(item.avgKpiValue, item.kpiType, kpiCurrency(item)) },
+    kpiGoal: { label: 'KPI Goal', numeric: true, value: item => formatKpi(item.goalValue, item.kpiType, kpiCurrency(item)) },
+    kpiPerformance: { label: 'KPI Performance', numeric: true, value: item => formatRatio(item.kpiPerfRatio) },
+    goalBeaten: { label: 'Goal Beaten', value: item => item.beatingGoalBool ? 'Yes' : 'No' },
+    score: { label: 'Decision Power Score', numeric: true, value: item => item.score },
+    currency: { label: 'Currency', value: item => rowCurrency(item) }
+};
+
+const EMAIL_LEVEL_LABELS = {
+    partner: 'Partner',
+    advertiser: 'Advertiser',
+    campaign: 'Campaign'
+};
+
+const EMAIL_SIGN_OFF = '{{senderName}}\n{{#signature}}\n{{signature}}\n{{/signature}}';
+
+const EMAIL_TEMPLATE_PRESETS = [
+    {
+        id: 'standard',
+        kind: 'opportunity',
+        name: 'Standard (Detailed)',
+        builtIn: true,
+        subject: 'Incremental Opportunity: {{target}}',
+        body: 'Hi {{greeting}},\n\nWe analyzed the current campaign performance for {{target}} and identified meaningful incremental opportunities.\n\n' +
+            ' SUMMARY\n' +
+            '--------------------------------------------------\n' +
+            'Total Incremental Opportunity: **{{totalOpportunity}}**\n' +
+            'Qualifying Campaigns: {{count}}\n' +
+            '--------------------------------------------------\n\n' +
+            'Below are the top campaigns pacing at 100% with high decision power that could utilize additional budget:\n\n' +
+            '{{#rows limit=10}}\n' +
+            '• {{campaign}} ({{advertiser}})\n' +
+            '  - Opportunity: {{opportunity}}\n' +
+            '  - Days Remaining: {{daysRemaining}}\n' +
+            '  - Current Pacing: Pacing Well\n' +
+            '  - Avg. KPI: {{avgKpi}}\n' +
+            '  - KPI Goal: {{kpiGoal}}\n' +
+            '  - KPI Performance: {{kpiPerformance}} (Goal Beaten: {{goalBeaten}})\n' +
+            '  - Decision Power Score: {{score}}\n\n' +
+            '{{/rows}}\n' +
+            '{{#more}}\n' +
+            '...and {{more}} more.\n\n' +
+            '{{/more}}\n' +
+            'We recommend unlocking this incremental budget to maximize performance for the remainder of the flight.\n\n' +
+            'Please let us know if you\'d like to proceed.\n\nBest,\n' + EMAIL_SIGN_OFF
+    },
+    {
+        id: 'executive',
+        kind: 'opportunity',
+        name: 'Executive Summary (High Level)',
+        builtIn: true,
+        subject: 'Executive Summary: Incremental Growth Opportunity - {{target}}',
+        body: 'Hi {{greeting}},\n\nWe have identified a significant incremental budget opportunity of **{{totalOpportunity}}** across high-performing campaigns for {{target}}.\n\n' +
+            '**Key Highlights:**\n' +
+            '• Total Opportunity: {{totalOpportunity}}\n' +
+            '• Campaigns Qualifying: {{count}}\n\n' +
+            'These campaigns are currently pacing at 100% capacity with high performance scores. Unlocking this budget will directly maximize flight delivery.\n\n' +
+            'Shall we proceed with this allocation?\n\nBest,\n' + EMAIL_SIGN_OFF
+    },
+    {
+        id: 'action',
+        kind: 'opportunity',
+        name: 'Quick Action (Urgent)',
+        builtIn: true,
+        subject: 'ACTION REQUIRED: Unlock {{totalOpportunity}} for {{target}}',
+        body: 'Hi {{greeting}},\n\nPerformance alert for {{target}}: We are capped on high-value inventory.\n\n' +
+            'We are leaving **{{totalOpportunity}}** on the table for campaigns pacing at 100%.\n\n' +
+            '**Recommended Action:**\n' +
+            'approve incremental budget for the following {{count}} campaigns immediately to capture this demand.\n\n' +
+            '{{#rows limit=5}}\n' +
+            '• {{campaign}}: +{{opportunity}}\n' +
+            '{{/rows}}\n' +
+            '{{#more}}\n' +
+            '...and {{more}} others.\n' +
+            '{{/more}}\n' +
+            '\nPlease confirm approval by EOD.\n\nThanks,\n' + EMAIL_SIGN_OFF
+    },
+    {
+        id: 'pacing-standard',
+        kind: 'pacing',
+        name: 'Standard Alert',
+        builtIn: true,
+        subject: 'Pacing Update: {{target}}',
+        body: 'Hi {{greeting}},\n\nHere is the pacing report for {{target}}. We have flagged {{count}} campaigns that are currently pacing below {{pacingThreshold}}%, ' +
+            'with **{{totalSpendRisk}}** in daily spend risk and a projected under-delivery of **{{totalUnderDelivery}}** over their remaining flight days.\n\n' +
+            '{{#bands}}\n' +
+            '{{band}}: pacing {{bandRange}} ({{count}})\n' +
+            '{{#rows}}\n' +
+            'Campaign: {{campaign}} ({{advertiser}})\n' +
+            '  - Pacing: {{pacing}}{{#hasTrend}} ({{pacingTrend}} since last report){{/hasTrend}}\n' +
+            '  - Daily Spend Risk: {{spendRisk}}\n' +
+            '  - Days Remaining: {{daysRemaining}}\n' +
+            '  - Projected Under-Delivery: {{underDelivery}}\n\n' +
+            '{{/rows}}\n' +
+            'Suggested action: {{bandAction}}\n\n' +
+            '{{/bands}}\n' +
+            'Please let us know if there are any blockers.\n\nBest,\n' + EMAIL_SIGN_OFF
+    },
+    {
+        id: 'pacing-urgent',
+        kind: 'pacing',
+        name: 'Urgent Action',
+        builtIn: true,
+        subject: 'URGENT: Low Pacing Alert - {{target}}',
+        body: 'Hi {{greeting}},\n\nThe following campaigns for {{target}} are currently pacing below {{pacingThreshold}}% and are at risk of under-delivery: ' +
+            '**{{totalUnderDelivery}}** is projected to go unspent if nothing changes.\n\n' +
+            'Please review and optimize immediately.\n\n' +
+            '{{#bands}}\n' +
+            '**{{band}} ({{bandRange}})**: {{bandAction}}\n' +
+            '{{#rows}}\n' +
+            '• {{campaign}}\n' +
+            '  - Current Pacing: {{pacing}}{{#hasTrend}} ({{pacingTrend}}){{/hasTrend}}\n' +
+            '  - Daily Spend Risk: {{spendRisk}}\n' +
+            '  - Days Remaining: {{daysRemaining}}\n' +
+            '{{/rows}}\n' +
+            '\n' +
+            '{{/bands}}\n' +
+            'Please let us know if there are any blockers.\n\nBest,\n' + EMAIL_SIGN_OFF
+    }
+];
+
+// A block tag with nothing else on its line swallows the line break too
+const EMAIL_STANDALONE_TAG = /^[ \t]*(\{\{\s*[#^\/][^}]*\}\})[ \t]*(?:\r?\n|$)/gm;
+
+function loadCustomEmailTemplates() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.emailTemplates) || '[]');
+        return Array.isArray(stored) ? stored.filter(t => t && EMAIL_TEMPLATE_KINDS[t.kind]) : [];
+    } catch (error) {
+        console.error(error);
+        return [];
+    }
+}
+
+function storeCustomEmailTemplates(templates) {
+    localStorage.setItem(STORAGE_KEYS.emailTemplates, JSON.stringify(templates));
+}
+
+function getAllEmailTemplates(kind) {
+    const templates = [...EMAIL_TEMPLATE_PRESETS, ...loadCustomEmailTemplates()];
+    return kind ? templates.filter(t => t.kind === kind) : templates;
+}
+
+function getEmailTemplate(kind, id) {
+    const templates = getAllEmailTemplates(kind);
+    return templates.find(t => t.id === id) || templates[0];
+}
+
+function loadEmailSender() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.emailSender) || '{}');
+        return { name: String(stored.name || ''), signature: String(stored.signature || '') };
+    } catch (error) {
+        console.error(error);
+        return { name: '', signature: '' };
+    }
+}
+
+// Parses a subject or body into text/value/section nodes. Throws with a readable
+// message on unknown placeholders or unbalanced blocks.
+function compileEmailTemplate(source, kind) {
+    const root = { name: null, children: [] };
+    const stack = [root];
+    const parts = String(source || '').replace(EMAIL_STANDALONE_TAG, '$1').split(/(\{\{[^}]*\}\})/);
+
+    parts.forEach((part, index) => {
+        const parent = stack[stack.length - 1];
+        if (index % 2 === 0) {
+            if (part) parent.children.push({ type: 'text', value: part });
+            return;
+        }
+
+        const match = part.match(/^\{\{\s*([#^\/]?)\s*(\w+)(?:\s+limit=(\d+))?\s*\}\}$/);
+        if (!match) throw new Error(`Can't read ${part}.`);
+        const [, sigil, name, limit] = match;
+
+        if (sigil === '/') {
+            if (parent.name !== name) {
+                throw new Error(parent === root ? `{{/${name}}} has no matching {{#${name}}}.` : `{{#${parent.name}}} is closed by {{/${name}}}.`);
+            }
+            stack.pop();
+            return;
+        }
+
+        const inRows = stack.some(node => node.name === 'rows');
+        const inBands = stack.some(node => node.name === 'bands');
+        if (name === 'rows') {
+            if (!sigil) throw new Error('{{rows}} must be a block: {{#rows}} ... {{/rows}}.');
+            if (inRows) throw new Error('{{#rows}} blocks cannot be nested.');
+        } else if (EMAIL_PLACEHOLDERS[name] && EMAIL_PLACEHOLDERS[name].block && !sigil) {
+            throw new Error(`{{${name}}} must be a block: {{#${name}}} ... {{/${name}}}.`);
+        } else if (name === 'bands' && (inRows || inBands)) {
+            throw new Error('{{#bands}} cannot go inside {{#rows}} or another {{#bands}}.');
+        } else if (EMAIL_PLACEHOLDERS[name] && EMAIL_PLACEHOLDERS[name].inBands && !inBands) {
+            throw new Error(`{{${name}}} only works inside {{#bands}} ... {{/bands}}.`);
+        } else if (EMAIL_ROW_FIELDS[name] && !EMAIL_PLACEHOLDERS[name]) {
+            if (!inRows) throw new Error(`{{${name}}} only works inside {{#rows}} ... {{/rows}}.`);
+        } else if (!EMAIL_PLACEHOLDERS[name]) {
+            throw new Error(`Unknown placeholder {{${name}}}.`);
+        } else if (EMAIL_PLACEHOLDERS[name].kinds && !EMAIL_PLACEHOLDERS[name].kinds.includes(kind)) {
+            throw new Error(`{{${name}}} isn't available in ${EMAIL_TEMPLATE_KINDS[kind].toLowerCase()} emails.`);
+        }
+        if (limit && (name !== 'rows' || sigil !== '#')) throw new Error('limit= only works on {{#rows}}.');
+
+        if (sigil) {
+            const section = { type: 'section', name, inverted: sigil === '^', limit: limit ? parseInt(limit) : 0, children: [] };
+            parent.children.push(section);
+            stack.push(section);
         } else {
-            // Metrics (calculatedOpportunity, incrementalBudget, score(avg?))
-            valA = a.metrics ? a.metrics[sortConfig.key] : a[sortConfig.key];
-            valB = b.metrics ? b.metrics[sortConfig.key] : b[sortConfig.key];
-
-            // Special case for score in pivot nodes (we store sum and count, need avg for sort?)
-            if (sortConfig.key === 'score' && a.metrics) {
-                valA = a.metrics.score / a.metrics.count;
-                valB = b.metrics.score / b.metrics.count;
+            parent.children.push({ type: 'value', name });
+        }
+    });
+
+    if (stack.length > 1) {
+        const open = stack[stack.length - 1].name;
+        throw new Error(`{{#${open}}} is never closed with {{/${open}}}.`);
+    }
+    return root.children;
+}
+
+// Renders plain text, or escaped HTML source when tables is an array: rows blocks are then
+// collected into it as <table>s and left as \u0000index\u0000 markers (see formatEmailHtml).
+function renderEmailNodes(nodes, context, row, tables) {
+    const html = Array.isArray(tables);
+    return nodes.map(node => {
+        if (node.type === 'text') return html ? escapeHtml(node.value) : node.value;
+
+        // Each band renders with its own rows, count and totals in place of the email's
+        if (node.name === 'bands') {
+            if (node.inverted) return context.bands.length ? '' : renderEmailNodes(node.children, context, row, tables);
+            return context.bands.map(band => renderEmailNodes(node.children, { ...context, ...band, more: 0 }, row, tables)).join('');
+        }
+
+        if (node.name === 'rows') {
+            if (node.inverted) return context.rows.length ? '' : renderEmailNodes(node.children, context, row, tables);
+            const shown = node.limit ? context.rows.slice(0, node.limit) : context.rows;
+            context.more = context.rows.length - shown.length;
+            const fields = html ? emailRowFieldsUsed(node.children, context) : [];
+            if (fields.length && shown.length) {
+                tables.push(buildEmailTable(fields, shown));
+                return `\u0000${tables.length - 1}\u0000`;
             }
+            return shown.map(item => renderEmailNodes(node.children, context, item, tables)).join('');
+        }
+
+        const value = row && EMAIL_ROW_FIELDS[node.name] ? EMAIL_ROW_FIELDS[node.name].value(row) : context[node.name];
+        if (node.type === 'value') {
+            const text = value === undefined || value === null ? '' : String(value);
+            return html ? escapeHtml(text) : text;
         }
+        return !!value !== node.inverted ? renderEmailNodes(node.children, context, row, tables) : '';
+    }).join('');
+}
 
-        valA = valA || 0;
-        valB = valB || 0;
+// Campaign fields a rows block prints, in order of first use. Fields inside a section that
+// is off for the whole email (e.g. {{#hasTrend}} with no comparison) get no column.
+function emailRowFieldsUsed(nodes, context, fields = []) {
+    nodes.forEach(node => {
+        if (node.type === 'value' && EMAIL_ROW_FIELDS[node.name] && !fields.includes(node.name)) fields.push(node.name);
+        if (node.type === 'section' && !EMAIL_ROW_FIELDS[node.name] && !!context[node.name] === node.inverted) return;
+        if (node.children) emailRowFieldsUsed(node.children, context, fields);
+    });
+    return fields;
+}
 
-        if (valA < valB) return sortConfig.direction === 'asc' ? -1 : 1;
-        if (valA > valB) return sortConfig.direction === 'asc' ? 1 : -1;
-        return 0;
+// Inline styles only: most email clients drop <style> blocks
+function buildEmailTable(fields, rows) {
+    const cell = 'padding:6px 10px; border:1px solid #e2e8f0;';
+    const align = field => EMAIL_ROW_FIELDS[field].numeric ? 'right' : 'left';
+    const head = fields.map(field => `<th style="${cell} background:#f1f5f9; text-align:${align(field)};">${escapeHtml(EMAIL_ROW_FIELDS[field].label)}</th>`).join('');
+    const body = rows.map(item => `<tr>${fields.map(field => {
+        const value = EMAIL_ROW_FIELDS[field].value(item);
+        return `<td style="${cell} text-align:${align(field)};">${escapeHtml(value === undefined || value === null ? '' : value)}</td>`;
+    }).join('')}</tr>`).join('\n');
+    return `<table style="border-collapse:collapse; margin:8px 0; font-size:13px;">\n<thead><tr>${head}</tr></thead>\n<tbody>\n${body}\n</tbody>\n</table>`;
+}
+
+function formatEmailHtml(source, tables) {
+    const html = source
+        .replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/\n/g, '<br>\n')
+        .replace(/(<br>\n)?\u0000(\d+)\u0000(<br>\n)?/g, (match, before, index) => tables[index]);
+    return `<div style="font-family:Arial, Helvetica, sans-serif; font-size:14px; line-height:1.5; color:#1e293b;">\n${html}\n</div>`;
+}
+
+// Placeholder values for one email. rows are the campaigns it lists.
+function buildEmailContext(kind, type, target, rows) {
+    const contact = findEmailContact(type, target);
+    const context = {
+        target,
+        contact,
+        greeting: (contact && contact.greeting) || 'Team',
+        owner: contact ? contact.owner : '',
+        level: EMAIL_LEVEL_LABELS[type] || '',
+        count: rows.length,
+        rows,
+        more: 0,
+        scoreThreshold: getCalcThresholds().scoreThreshold,
+        date: new Date().toLocaleDateString(AppState.currencySettings.locale),
+        senderName: AppState.emailSender.name || '[Your Name]',
+        signature: AppState.emailSender.signature,
+        hasTrend: !!AppState.comparison
     };
 
-    const partners = Object.values(tree).sort(sortFn);
-    partners.forEach(p => {
-        // Sort Advertisers
-        const advertisers = Object.values(p.children).sort(sortFn);
-        p.sortedChildren = advertisers;
+    if (kind === 'opportunity') {
+        // Listed per currency ("€1,200.00 + $3,400.00") if the campaigns don't share one
+        context.totalOpportunity = formatCurrencyTotals(sumByCurrency(rows, item => item.calculatedOpportunity));
+    } else {
+        const { pacingThreshold } = getCalcThresholds();
+        Object.assign(context, buildPacingTotals(rows));
+        context.pacingThreshold = pacingThreshold;
+        context.bands = groupPacingBands(rows, pacingThreshold).map(band => ({
+            ...buildPacingTotals(band.rows),
+            rows: band.rows,
+            count: band.rows.length,
+            band: band.label,
+            bandRange: band.range,
+            bandAction: band.action
+        }));
+    }
+    return context;
+}
 
-        advertisers.forEach(a => {
-            // Sort Campaigns
-            a.children.sort(sortFn);
-        });
-    });
+function buildPacingTotals(rows) {
+    return {
+        totalSpendRisk: formatCurrencyTotals(sumByCurrency(rows, item => item.spendRisk < 0 ? item.spendRisk : 0)),
+        totalUnderDelivery: formatCurrencyTotals(sumByCurrency(rows, item => item.projectedUnspent)),
+        totalBudgetRemaining: formatCurrencyTotals(sumByCurrency(rows, item => item.incrementalBudget * item.daysRemaining))
+    };
+}
 
-    // 3. Render
-    // Headers
-    const headers = [
-        { key: 'partner', label: 'Hierarchy' },
-        { key: 'score', label: 'Decision Power Score' },
-        { key: 'incrementalBudget', label: 'Inc. Budget' },
-        { key: 'calculatedOpportunity', label: 'Inc. Opportunity' }
-    ];
+// { to, cc, subject, body, html }: recipients from Contacts, the text body with the
+// **markers** removed, and its HTML version
+function composeEmail(template, context) {
+    const subject = renderEmailNodes(compileEmailTemplate(template.subject, template.kind), context);
+    const body = compileEmailTemplate(template.body, template.kind);
+    const tables = [];
+    const htmlSource = renderEmailNodes(body, context, null, tables).trimEnd();
+
+    return {
+        to: context.contact ? context.contact.to : '',
+        cc: context.contact ? context.contact.cc : '',
+        subject: subject.replace(/\*\*(.+?)\*\*/g, '$1').replace(/\s+/g, ' ').trim(),
+        body: renderEmailNodes(body, context).replace(/\*\*(.+?)\*\*/g, '$1').trimEnd(),
+        html: formatEmailHtml(htmlSource, tables)
+    };
+}
 
-    let htmlHead = '<tr>';
-    headers.forEach(h => {
-        const isSorted = sortConfig.key === h.key;
-        const arrow = isSorted ? (sortConfig.direction === 'asc' ? '▲' : '▼') : '';
-        htmlHead += `<th style="cursor:pointer;" data-sort-key="${h.key}">${h.label} <span style="font-size:0.8rem; margin-left:4px;">${arrow}</span></th>`;
+function formatEmailText(email) {
+    const recipients = (email.to ? `To: ${email.to}\n` : '') + (email.cc ? `Cc: ${email.cc}\n` : '');
+    return `${recipients}Subject: ${email.subject}\n\n${email.body}`;
+}
+
+function renderEmailStyleSelects() {
+    [[UI.emailStyle, 'opportunity'], [UI.pacingEmailStyle, 'pacing']].forEach(([select, kind]) => {
+        if (!select) return;
+        const current = select.value;
+        const templates = getAllEmailTemplates(kind);
+        select.innerHTML = templates.map(t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}${t.builtIn ? '' : ' (Custom)'}</option>`).join('');
+        select.value = templates.some(t => t.id === current) ? current : templates[0].id;
     });
-    htmlHead += '</tr>';
-    UI.tableHead.innerHTML = htmlHead;
+}
 
-    // Attach sort listeners
-    UI.tableHead.querySelectorAll('th').forEach(th => {
-        th.addEventListener('click', () => {
-            handleTableSort(th.dataset.sortKey);
-        });
+function setupEmailTemplates() {
+    AppState.emailSender = loadEmailSender();
+    renderEmailStyleSelects();
+    if (!UI.viewEmailTemplates) return;
+
+    UI.btnEditEmailTemplates?.addEventListener('click', () => openEmailTemplateEditor('opportunity', UI.emailStyle.value));
+    UI.btnEditPacingEmailTemplates?.addEventListener('click', () => openEmailTemplateEditor('pacing', UI.pacingEmailStyle.value));
+    UI.btnBackEmailTemplates.addEventListener('click', () => switchView(UI.emailTemplateKind.value === 'pacing' ? 'email-pacing' : 'email'));
+
+    UI.emailTemplateEditSelect.addEventListener('change', () => {
+        const template = getAllEmailTemplates().find(t => t.id === UI.emailTemplateEditSelect.value);
+        if (template) loadEmailTemplateIntoEditor(template);
     });
 
-    // Body logic
-    let htmlBody = '';
+    UI.viewEmailTemplates.addEventListener('input', (e) => {
+        if (e.target === UI.emailSenderName || e.target === UI.emailSenderSignature) {
+            AppState.emailSender = { name: UI.emailSenderName.value.trim(), signature: UI.emailSenderSignature.value.trim() };
+            localStorage.setItem(STORAGE_KEYS.emailSender, JSON.stringify(AppState.emailSender));
+        }
+        previewEmailTemplate();
+    });
+    UI.emailTemplateKind.addEventListener('change', () => {
+        renderEmailTemplateReference();
+        previewEmailTemplate();
+    });
 
-    partners.forEach(p => {
-        // Partner Row (Level 1)
-        const pOpp = formatCurrency(p.metrics.calculatedOpportunity);
-        const pBud = formatCurrency(p.metrics.incrementalBudget);
-        const pScore = Math.round(p.metrics.score / p.metrics.count);
+    // Remember which field had the cursor last so inserts land there
+    let lastSource = UI.emailTemplateBody;
+    [UI.emailTemplateSubject, UI.emailTemplateBody].forEach(input => input.addEventListener('focus', () => lastSource = input));
 
-        htmlBody += `<tr id="${p.id}" class="pivot-row level-1" data-level="1" data-expanded="false" onclick="togglePivotRow('${p.id}')" style="cursor:pointer; background:rgba(0,0,0,0.02);">
-            <td style="font-weight:700; color:var(--primary);">
-                <div style="display:flex; align-items:center; gap:0.5rem;">
-                    <span class="pivot-icon"><i data-lucide="chevron-right" width="16" height="16"></i></span>
-                    ${p.name} <span class="badge" style="font-size:0.75rem;">${p.metrics.count}</span>
-                </div>
-            </td>
-            <td>-</td>
-            <td>${pBud}</td>
-            <td style="font-weight:600; color:var(--success);">${pOpp}</td>
-        </tr>`;
+    UI.emailTemplatePlaceholders.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-placeholder]');
+        if (!btn) return;
+        const name = btn.dataset.placeholder;
+        insertEmailTemplateText(lastSource, EMAIL_PLACEHOLDERS[name].block ? `{{#${name}}}\n\n{{/${name}}}\n` : `{{${name}}}`);
+    });
 
-        p.sortedChildren.forEach(a => {
-            // Advertiser Row (Level 2) - Hidden by default
-            const aOpp = formatCurrency(a.metrics.calculatedOpportunity);
-            const aBud = formatCurrency(a.metrics.incrementalBudget);
-            const aScore = Math.round(a.metrics.score / a.metrics.count);
-
-            htmlBody += `<tr id="${a.id}" class="pivot-row level-2 hidden" data-level="2" data-expanded="false" onclick="togglePivotRow('${a.id}')" style="cursor:pointer;">
-                <td style="padding-left:2.5rem; font-weight:600;">
-                    <div style="display:flex; align-items:center; gap:0.5rem;">
-                        <span class="pivot-icon"><i data-lucide="chevron-right" width="16" height="16"></i></span>
-                        ${a.name} <span class="badge" style="font-size:0.75rem; background:rgba(0,0,0,0.05);">${a.metrics.count}</span>
-                    </div>
-                </td>
-                <td>-</td>
-                <td>${aBud}</td>
-                <td style="font-weight:600; color:var(--success);">${aOpp}</td>
-            </tr>`;
+    UI.btnInsertEmailRows.addEventListener('click', () => {
+        const fields = Array.from(UI.emailTemplateRowFields.querySelectorAll('.email-row-field:checked')).map(cb => cb.value);
+        if (fields.length === 0) {
+            alert("Tick at least one campaign field to list.");
+            return;
+        }
+        const limit = parseInt(UI.emailTemplateRowLimit.value);
+        const [first, ...rest] = fields;
+        const block = `{{#rows${limit > 0 ? ` limit=${limit}` : ''}}}\n` +
+            `• {{${first}}}\n` +
+            rest.map(field => `  - ${EMAIL_ROW_FIELDS[field].label}: {{${field}}}\n`).join('') +
+            '\n{{/rows}}\n' +
+            (limit > 0 ? '{{#more}}\n...and {{more}} more.\n\n{{/more}}\n' : '');
+        insertEmailTemplateText(UI.emailTemplateBody, block);
+    });
 
-            a.children.forEach(c => {
-                // Campaign Row (Level 3) - Hidden by default
-                const cOpp = formatCurrency(c.calculatedOpportunity);
-                const cBud = formatCurrency(c.incrementalBudget);
-                // Extra context for campaigns
-
-                htmlBody += `<tr class="pivot-row level-3 hidden" data-level="3" style="background:rgba(255,255,255,0.5);">
-                    <td style="padding-left:5rem; font-size:0.9rem;">
-                        ${c.campaignId ? `<a href="https://desk.thetradedesk.com/app/home/campaign/${c.campaignId}/performance" target="_blank" style="color:inherit; text-decoration:none; border-bottom:1px dotted var(--text-muted);" onmouseover="this.style.color='var(--primary)'" onmouseout="this.style.color='inherit'">${c.campaign}</a>` : c.campaign}
-                    </td>
-                    <td>${c.score}</td>
-                    <td>${cBud}</td>
-                    <td style="color:var(--success);">${cOpp}</td>
-                </tr>`;
-            });
-        });
+    UI.btnApplyEmailTemplate.addEventListener('click', () => {
+        const template = getAllEmailTemplates().find(t => t.id === UI.emailTemplateEditSelect.value);
+        if (!template) return;
+        const isPacing = template.kind === 'pacing';
+        (isPacing ? UI.pacingEmailStyle : UI.emailStyle).value = template.id;
+        switchView(isPacing ? 'email-pacing' : 'email');
     });
+    UI.btnSaveEmailTemplate.addEventListener('click', () => saveEmailTemplateFromEditor(false));
+    UI.btnSaveEmailTemplateAs.addEventListener('click', () => saveEmailTemplateFromEditor(true));
+    UI.btnDeleteEmailTemplate.addEventListener('click', deleteEmailTemplateFromEditor);
 
-    UI.tableBody.innerHTML = htmlBody;
-    if (window.lucide) lucide.createIcons();
+    UI.emailTemplateRowFields.innerHTML = Object.entries(EMAIL_ROW_FIELDS).map(([key, def]) => `<label class="pivot-metric">
+        <input type="checkbox" class="email-row-field" value="${key}"${['campaign', 'advertiser'].includes(key) ? ' checked' : ''}> ${def.label}
+    </label>`).join('');
 }
 
-// Helpers
-function createMetrics() {
-    return { count: 0, score: 0, incrementalBudget: 0, calculatedOpportunity: 0 };
+function openEmailTemplateEditor(kind, id) {
+    switchView('email-templates');
+    renderEmailTemplateSelect();
+    UI.emailTemplateEditSelect.value = getEmailTemplate(kind, id).id;
+    loadEmailTemplateIntoEditor(getEmailTemplate(kind, id));
 }
 
-function accumulateMetrics(target, item) {
-    target.count++;
-    target.score += (item.score || 0);
-    target.incrementalBudget += (item.incrementalBudget || 0);
-    target.calculatedOpportunity += (item.calculatedOpportunity || 0);
+function renderEmailTemplateSelect() {
+    const selected = UI.emailTemplateEditSelect.value;
+    UI.emailTemplateEditSelect.innerHTML = Object.entries(EMAIL_TEMPLATE_KINDS).map(([kind, label]) => `<optgroup label="${label} Emails">
+        ${getAllEmailTemplates(kind).map(t => `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}${t.builtIn ? '' : ' (Custom)'}</option>`).join('')}
+    </optgroup>`).join('');
+    if (selected) UI.emailTemplateEditSelect.value = selected;
+    renderEmailStyleSelects();
 }
 
-function sanitizeId(str) {
-    return String(str).replace(/[^a-zA-Z0-9-_]/g, '-').toLowerCase();
+function renderEmailTemplateReference() {
+    const kind = UI.emailTemplateKind.value;
+    UI.emailTemplatePlaceholders.innerHTML = Object.entries(EMAIL_PLACEHOLDERS)
+        .filter(([, def]) => !def.kinds || def.kinds.includes(kind))
+        .map(([name, def]) => `<li><button class="btn text-btn email-placeholder" data-placeholder="${name}" title="Insert at cursor"><code>{{${def.block ? '#' : ''}${name}}}</code></button> ${def.label}</li>`)
+        .join('');
 }
 
-function formatCurrency(val) {
-    return new Intl.NumberFormat('en-US', { style: 'currency', currency: 'USD' }).format(val);
+function loadEmailTemplateIntoEditor(template) {
+    UI.emailTemplateName.value = template.name;
+    UI.emailTemplateKind.value = template.kind;
+    UI.emailTemplateKind.disabled = !!template.builtIn;
+    UI.emailTemplateSubject.value = template.subject;
+    UI.emailTemplateBody.value = template.body;
+    UI.emailSenderName.value = AppState.emailSender.name;
+    UI.emailSenderSignature.value = AppState.emailSender.signature;
+    UI.btnSaveEmailTemplate.disabled = !!template.builtIn;
+    UI.btnDeleteEmailTemplate.disabled = !!template.builtIn;
+    renderEmailTemplateReference();
+    previewEmailTemplate();
 }
 
-function formatPercent(val) {
-    if (val === undefined || val === null || isNaN(val)) return '0%';
-    // Cap visual display at 100%
-    let num = Math.round(val);
-    if (num > 100) num = 100;
-    return num + '%';
+function readEmailTemplateFromEditor() {
+    return {
+        name: UI.emailTemplateName.value.trim(),
+        kind: UI.emailTemplateKind.value,
+        subject: UI.emailTemplateSubject.value,
+        body: UI.emailTemplateBody.value
+    };
 }
 
+function insertEmailTemplateText(input, text) {
+    const start = input.selectionStart ?? input.value.length;
+    const end = input.selectionEnd ?? start;
+    input.value = input.value.slice(0, start) + text + input.value.slice(end);
+    input.focus();
+    input.selectionStart = input.selectionEnd = start + text.length;
+    previewEmailTemplate();
+}
 
-// --- Email Builder ---
-function setupNavigation() {
-    UI.btnViewData.addEventListener('click', () => switchView('data'));
-    UI.btnViewEmail.addEventListener('click', () => switchView('email'));
-    UI.btnViewPacingEmail.addEventListener('click', () => switchView('email-pacing'));
+// Validate the draft and render it for the target picked in the matching email builder
+function previewEmailTemplate() {
+    const draft = readEmailTemplateFromEditor();
+    try {
+        compileEmailTemplate(draft.subject, draft.kind);
+        compileEmailTemplate(draft.body, draft.kind);
+    } catch (error) {
+        UI.emailTemplateStatus.innerHTML = `<span style="color:var(--danger); font-weight:500;">${escapeHtml(error.message)}</span>`;
+        UI.emailTemplatePreview.textContent = '';
+        return false;
+    }
 
-    document.getElementById('btn-back-data')?.addEventListener('click', () => switchView('data'));
-    UI.btnBackDataPacing?.addEventListener('click', () => switchView('data'));
+    const isPacing = draft.kind === 'pacing';
+    const type = (isPacing ? UI.pacingEmailTemplateType : UI.emailTemplateType).value;
+    const targetSelect = isPacing ? UI.pacingEmailTargetSelect : UI.emailTargetSelect;
+    const target = targetSelect.value || Array.from(targetSelect.options).map(o => o.value).find(Boolean);
+    if (!target) {
+        UI.emailTemplateStatus.innerHTML = `<span style="color:var(--success); font-weight:500;">Valid.</span> Load a file to see a preview.`;
+        UI.emailTemplatePreview.textContent = '';
+        return true;
+    }
+
+    const rows = isPacing ? getPacingEmailRows(type, target) : getOpportunityEmailRows(type, target);
+    const email = composeEmail(draft, buildEmailContext(draft.kind, type, target, rows));
+    UI.emailTemplateStatus.innerHTML = `<span style="color:var(--success); font-weight:500;">Valid.</span> Preview for ${escapeHtml(EMAIL_LEVEL_LABELS[type])} "${escapeHtml(target)}" (${rows.length} campaigns).`;
+    UI.emailTemplatePreview.textContent = formatEmailText(email);
+    return true;
 }
 
-function switchView(view) {
-    // Hide all first
-    UI.viewData.classList.add('hidden');
-    UI.viewData.classList.remove('active');
-    UI.viewEmail.classList.add('hidden');
-    UI.viewEmail.classList.remove('active');
-    if (UI.viewEmailPacing) {
-        UI.viewEmailPacing.classList.add('hidden');
-        UI.viewEmailPacing.classList.remove('active');
+function saveEmailTemplateFromEditor(asNew) {
+    const draft = readEmailTemplateFromEditor();
+    if (!draft.name) {
+        alert("Please give the template a name.");
+        return;
+    }
+    if (!previewEmailTemplate()) {
+        alert("Please fix the template errors before saving.");
+        return;
     }
 
-    // buttons
-    UI.btnViewData.classList.remove('active');
-    UI.btnViewEmail.classList.remove('active');
-    UI.btnViewPacingEmail.classList.remove('active');
+    const customs = loadCustomEmailTemplates();
+    const current = getAllEmailTemplates().find(t => t.id === UI.emailTemplateEditSelect.value);
+    let id;
 
-    if (view === 'data') {
-        UI.viewData.classList.remove('hidden');
-        UI.viewData.classList.add('active');
-        UI.btnViewData.classList.add('active');
-    } else if (view === 'email') {
-        UI.viewEmail.classList.remove('hidden');
-        UI.viewEmail.classList.add('active');
-        UI.btnViewEmail.classList.add('active');
-        updateEmailTargets();
-    } else if (view === 'email-pacing') {
-        UI.viewEmailPacing.classList.remove('hidden');
-        UI.viewEmailPacing.classList.add('active');
-        UI.btnViewPacingEmail.classList.add('active');
-        updatePacingEmailTargets();
+    if (asNew || !current || current.builtIn) {
+        id = `custom-${Date.now()}`;
+        customs.push({ id, ...draft });
+    } else {
+        id = current.id;
+        const index = customs.findIndex(t => t.id === id);
+        customs[index] = { id, ...draft };
     }
-}
 
-function setupEmailBuilder() {
-    UI.emailTemplateType.addEventListener('change', updateEmailTargets);
-    UI.btnGenerateEmail.addEventListener('click', generateEmail);
-    UI.btnCopyEmail.addEventListener('click', copyEmail);
+    storeCustomEmailTemplates(customs);
+    UI.emailTemplateEditSelect.value = '';
+    renderEmailTemplateSelect();
+    UI.emailTemplateEditSelect.value = id;
+    loadEmailTemplateIntoEditor(getAllEmailTemplates().find(t => t.id === id));
 }
 
-function setupPacingEmailBuilder() {
-    if (!UI.pacingEmailTemplateType) return;
-    UI.pacingEmailTemplateType.addEventListener('change', updatePacingEmailTargets);
-    UI.btnGeneratePacingEmail.addEventListener('click', generatePacingEmail);
-    UI.btnCopyPacingEmail.addEventListener('click', copyPacingEmail);
+function deleteEmailTemplateFromEditor() {
+    const id = UI.emailTemplateEditSelect.value;
+    const template = loadCustomEmailTemplates().find(t => t.id === id);
+    if (!template) return;
+    if (!confirm(`Delete email template "${template.name}"?`)) return;
+
+    storeCustomEmailTemplates(loadCustomEmailTemplates().filter(t => t.id !== id));
+    UI.emailTemplateEditSelect.value = '';
+    renderEmailTemplateSelect();
+    const fallback = getEmailTemplate(template.kind);
+    UI.emailTemplateEditSelect.value = fallback.id;
+    loadEmailTemplateIntoEditor(fallback);
 }
 
-function setupHelpListeners() {
-    UI.btnHelp.addEventListener('click', () => toggleHelp(true));
-    UI.btnBackHome.addEventListener('click', () => toggleHelp(false));
+// --- Email Drafts ---
+// The builders show the text version (what used to be the only output) or the HTML one.
+// Copy puts both on the clipboard; the .eml download carries both as alternatives.
+function emailBuilderUI(kind) {
+    return kind === 'pacing'
+        ? { output: UI.pacingEmailOutput, htmlPreview: UI.pacingEmailHtmlPreview, mode: UI.pacingEmailPreviewMode, btnCopy: UI.btnCopyPacingEmail }
+        : { output: UI.emailOutput, htmlPreview: UI.emailHtmlPreview, mode: UI.emailPreviewMode, btnCopy: UI.btnCopyEmail };
 }
 
-function toggleHelp(show) {
-    if (show) {
-        // Save current view state implicitly by verifying which one is not hidden later
-        // Just hide both main sections and show help
-        UI.uploadSection.classList.add('hidden');
-        UI.dashboardSection.classList.add('hidden');
-        UI.howItWorksSection.classList.remove('hidden');
-    } else {
-        // Return. If data processed, go to dashboard. Else upload.
-        UI.howItWorksSection.classList.add('hidden');
-
-        if (AppState.processedData.length > 0) {
-            UI.dashboardSection.classList.remove('hidden');
-        } else {
-            UI.uploadSection.classList.remove('hidden');
-        }
-    }
+// Show a generated email, or a message (no target, nothing qualifying) when email is null
+function showEmailDraft(kind, email, message) {
+    const { output, htmlPreview } = emailBuilderUI(kind);
+    AppState.emailDrafts[kind] = email;
+    output.value = email ? formatEmailText(email) : message;
+    if (htmlPreview) htmlPreview.innerHTML = email ? email.html : `<p class="hint-text">${escapeHtml(message || '')}</p>`;
 }
 
-function updateEmailTargets() {
-    const type = UI.emailTemplateType.value;
-    let options = [];
+function renderEmailPreviewMode(kind) {
+    const { output, htmlPreview, mode } = emailBuilderUI(kind);
+    const formatted = mode.value === 'html';
+    output.classList.toggle('hidden', formatted);
+    htmlPreview.classList.toggle('hidden', !formatted);
+}
 
-    // Based on filtered data
-    const data = AppState.processedData;
+function copyEmailDraft(kind) {
+    const { output, btnCopy } = emailBuilderUI(kind);
+    const email = AppState.emailDrafts[kind];
+    const text = email ? formatEmailText(email) : output.value;
 
-    if (type === 'partner') {
-        UI.emailTargetLabel.textContent = "Select Partner";
-        options = [...new Set(data.map(d => d.partner).filter(Boolean))].sort();
-    } else if (type === 'advertiser') {
-        UI.emailTargetLabel.textContent = "Select Advertiser";
-        options = [...new Set(data.map(d => d.advertiser).filter(Boolean))].sort();
+    const done = () => {
+        const original = btnCopy.innerHTML;
+        btnCopy.innerHTML = `<i data-lucide="check"></i> Copied`;
+        if (window.lucide) lucide.createIcons();
+        setTimeout(() => btnCopy.innerHTML = original, 2000);
+    };
+    const fail = () => alert("Couldn't copy to the clipboard. Select the preview text and copy it manually.");
+    const copyText = () => navigator.clipboard.writeText(text).then(done, fail);
+
+    if (!navigator.clipboard) {
+        fail();
+    } else if (email && window.ClipboardItem && navigator.clipboard.write) {
+        // Rich editors (Outlook, Gmail) paste the HTML, plain ones the text
+        navigator.clipboard.write([new ClipboardItem({
+            'text/html': new Blob([email.html], { type: 'text/html' }),
+            'text/plain': new Blob([text], { type: 'text/plain' })
+        })]).then(done, copyText);
     } else {
-        UI.emailTargetLabel.textContent = "Select Campaign";
-        options = data.map(d => d.campaign).filter(Boolean).sort();
+        copyText();
     }
-
-    fillSelect(UI.emailTargetSelect, options);
 }
 
-function generateEmail() {
-    const type = UI.emailTemplateType.value;
-    const target = UI.emailTargetSelect.value;
-    const style = UI.emailStyle.value; // Get style
+// mailto: carries plain text only, and some mail apps cut off very long links
+function openEmailDraftInMail(kind) {
+    const email = AppState.emailDrafts[kind];
+    if (!email) {
+        alert("Generate a draft first.");
+        return;
+    }
+    const params = [`subject=${encodeURIComponent(email.subject)}`, `body=${encodeURIComponent(email.body)}`];
+    if (email.cc) params.unshift(`cc=${email.cc.split(', ').map(encodeURIComponent).join(',')}`);
+    window.location.href = `mailto:${email.to.split(', ').filter(Boolean).map(encodeURIComponent).join(',')}?${params.join('&')}`;
+}
 
-    if (!target) {
-        UI.emailOutput.value = "Please select a target first.";
+function downloadEmailDraft(kind) {
+    const email = AppState.emailDrafts[kind];
+    if (!email) {
+        alert("Generate a draft first.");
         return;
     }
+    downloadFile(`${safeFileName(email.subject)}.eml`, buildEmlFile(email), 'message/rfc822');
+}
 
-    // Filter data for this email
-    let scopeData = AppState.processedData;
-    if (type === 'partner') scopeData = scopeData.filter(d => d.partner === target);
-    if (type === 'advertiser') scopeData = scopeData.filter(d => d.advertiser === target);
-    if (type === 'campaign') scopeData = scopeData.filter(d => d.campaign === target);
+// Base64 of the UTF-8 bytes, in chunks so long bodies don't overflow the argument list
+function utf8Base64(value) {
+    const bytes = new TextEncoder().encode(value);
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+}
 
-    // Only include qualifying opportunities
-    let opportunities = scopeData.filter(d => d.calculatedOpportunity > 0);
+// RFC 2047 header encoding, only needed for non-ASCII subjects
+function encodeMailHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${utf8Base64(value)}?=`;
+}
 
-    // Filter Duplicates if requested
-    const dupFilter = UI.emailDuplicateFilter ? UI.emailDuplicateFilter.value : 'none';
-    if (dupFilter !== 'none') {
-        const uniqueMap = new Map();
+// A draft as an .eml message with text and HTML alternatives. X-Unsent makes Outlook
+// open it as a new, editable draft with the subject filled in.
+function buildEmlFile(email) {
+    const boundary = `----=_Part_${Date.now().toString(36)}`;
+    const part = (type, content) => [
+        `--${boundary}`,
+        `Content-Type: ${type}; charset=UTF-8`,
+        'Content-Transfer-Encoding: base64',
+        '',
+        utf8Base64(content).replace(/.{76}/g, '$&\r\n')
+    ].join('\r\n');
+
+    return [
+        ...(email.to ? [`To: ${email.to}`] : []),
+        ...(email.cc ? [`Cc: ${email.cc}`] : []),
+        `Subject: ${encodeMailHeader(email.subject)}`,
+        'MIME-Version: 1.0',
+        'X-Unsent: 1',
+        `Content-Type: multipart/alternative; boundary="${boundary}"`,
+        '',
+        part('text/plain', email.body),
+        part('text/html', `<!DOCTYPE html>\n<html><head><meta charset="utf-8"></head><body>\n${email.html}\n</body></html>`),
+        `--${boundary}--`,
+        ''
+    ].join('\r\n');
+}
 
-        opportunities.forEach(item => {
-            const key = item.campaign; // Group by name
-            if (!uniqueMap.has(key)) {
-                uniqueMap.set(key, item);
-            } else {
-                const existing = uniqueMap.get(key);
-                let replace = false;
+// --- Contacts ---
+// Who gets the email for a partner or advertiser. Campaign emails (and advertisers
+// without an entry) fall back to the advertiser's, then the partner's contact.
+const CONTACT_LEVELS = {
+    partner: 'Partner',
+    advertiser: 'Advertiser'
+};
 
-                if (dupFilter === 'max-opp') {
-                    // Higher opportunity wins
-                    if (item.calculatedOpportunity > existing.calculatedOpportunity) replace = true;
-                } else if (dupFilter === 'best-perf') {
-                    // Check KPI Type
-                    const type = String(item.kpiType || '').toLowerCase();
-                    const isCost = type.includes('cpa') || type.includes('cost');
+// Header patterns for importing a contacts sheet
+const CONTACT_IMPORT_HEADERS = {
+    level: /level|type/i,
+    partner: /partner/i,
+    advertiser: /advertiser/i,
+    cc: /\bcc\b/i, // Before "to" so a "CC Email" column isn't taken for the recipients
+    to: /^to$|e-?mail|recipient/i,
+    greeting: /greet|salutation|first name/i,
+    owner: /owner|manager/i,
+    name: /name|account|client/i
+};
 
-                    // Ratio: Avg / Goal
-                    // Cost: Lower ratio is better.
-                    // Perf: Higher ratio is better.
-                    if (isCost) {
-                        if (item.kpiPerfRatio < existing.kpiPerfRatio) replace = true;
-                    } else {
-                        if (item.kpiPerfRatio > existing.kpiPerfRatio) replace = true;
-                    }
-                }
+function setupContacts() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(STORAGE_KEYS.contacts) || '[]');
+        AppState.contacts = Array.isArray(stored) ? stored.filter(c => c && CONTACT_LEVELS[c.level] && c.name) : [];
+    } catch (error) {
+        console.error(error);
+    }
 
-                if (replace) uniqueMap.set(key, item);
-            }
-        });
+    if (!UI.viewContacts) return;
 
-        opportunities = Array.from(uniqueMap.values());
-    }
+    UI.btnViewContacts.addEventListener('click', () => switchView('contacts'));
+    UI.btnBackDataContacts.addEventListener('click', () => switchView('data'));
+    UI.btnAddContact.addEventListener('click', () => addContactRow({ level: 'advertiser' }));
 
-    if (opportunities.length === 0) {
-        const scoreThreshold = UI.filterScore ? UI.filterScore.value : 100;
-        UI.emailOutput.value = `No qualifying incremental opportunities found for '${target}' based on current logic (Score > ${scoreThreshold}, Pacing ~100%).`;
-        return;
-    }
+    UI.contactRows.addEventListener('click', (e) => {
+        const btn = e.target.closest('.btn-remove-contact');
+        if (btn) btn.closest('.contact-row').remove();
+    });
 
-    const totalOpp = opportunities.reduce((acc, curr) => acc + curr.calculatedOpportunity, 0);
-
-    let subject = "";
-    let body = "";
-
-    // --- TEMPLATE LOGIC ---
-    if (style === 'executive') {
-        // EXECUTIVE SUMMARY
-        subject = `Executive Summary: Incremental Growth Opportunity - ${target}`;
-        body = `Hi Team,\n\nWe have identified a significant incremental budget opportunity of **${formatCurrency(totalOpp)}** across high-performing campaigns for ${target}.\n\n`;
-        body += `**Key Highlights:**\n`;
-        body += `• Total Opportunity: ${formatCurrency(totalOpp)}\n`;
-        body += `• Campaigns Qualifying: ${opportunities.length}\n\n`;
-        body += `These campaigns are currently pacing at 100% capacity with high performance scores. Unlocking this budget will directly maximize flight delivery.\n\n`;
-        body += `Shall we proceed with this allocation?\n\nBest,\n[Your Name]`;
-
-    } else if (style === 'action') {
-        // ACTION / URGENT
-        subject = `ACTION REQUIRED: Unlock ${formatCurrency(totalOpp)} for ${target}`;
-        body = `Hi everyone,\n\nPerformance alert for ${target}: We are capped on high-value inventory.\n\n`;
-        body += `We are leaving **${formatCurrency(totalOpp)}** on the table for campaigns pacing at 100%.\n\n`;
-        body += `**Recommended Action:**\n`;
-        body += `approve incremental budget for the following ${opportunities.length} campaigns immediately to capture this demand.\n\n`;
-
-        // Brief list
-        opportunities.slice(0, 5).forEach(opp => {
-            body += `• ${opp.campaign}: +${formatCurrency(opp.calculatedOpportunity)}\n`;
-        });
-        if (opportunities.length > 5) body += `...and ${opportunities.length - 5} others.\n`;
+    UI.contactsMissing.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-add-contact]');
+        if (btn) addContactRow({ level: btn.dataset.level, name: btn.dataset.addContact });
+    });
 
-        body += `\nPlease confirm approval by EOD.\n\nThanks,\n[Your Name]`;
+    UI.btnImportContacts.addEventListener('click', () => UI.contactsImportInput.click());
+    UI.contactsImportInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) readWorkbook(file, importContacts);
+    });
 
-    } else {
-        // STANDARD (Detailed)
-        subject = `Incremental Opportunity: ${target}`;
-        body = `Hi Team,\n\nWe analyzed the current campaign performance for ${target} and identified meaningful incremental opportunities.\n\n`;
-
-        body += ` SUMMARY\n`;
-        body += `--------------------------------------------------\n`;
-        body += `Total Incremental Opportunity: ${formatCurrency(totalOpp)}\n`;
-        body += `Qualifying Campaigns: ${opportunities.length}\n`;
-        body += `--------------------------------------------------\n\n`;
-
-        body += `Below are the top campaigns pacing at 100% with high decision power that could utilize additional budget:\n\n`;
-
-        // List top 10
-        opportunities.slice(0, 10).forEach(opp => {
-            body += `• ${opp.campaign} (${opp.advertiser})\n`;
-            body += `  - Opportunity: ${formatCurrency(opp.calculatedOpportunity)}\n`;
-            body += `  - Days Remaining: ${opp.daysRemaining}\n`;
-            body += `  - Current Pacing: Pacing Well\n`;
-            body += `  - Avg. KPI: ${formatKpi(opp.avgKpiValue, opp.kpiType)}\n`;
-            body += `  - KPI Goal: ${formatKpi(opp.goalValue, opp.kpiType)}\n`;
-            body += `  - KPI Performance: ${formatRatio(opp.kpiPerfRatio)} (Goal Beaten: ${opp.beatingGoalBool ? 'Yes' : 'No'})\n`;
-            body += `  - Decision Power Score: ${opp.score}\n\n`;
-        });
+    UI.btnExportContacts.addEventListener('click', exportContacts);
+    UI.btnSaveContacts.addEventListener('click', saveContactsFromEditor);
+}
 
-        if (opportunities.length > 10) {
-            body += `...and ${opportunities.length - 10} more.\n\n`;
-        }
+// Comma-separated, whatever separators the sheet or user used
+function normalizeRecipients(value) {
+    return String(value || '').split(/[;,\n]+/).map(s => s.trim()).filter(Boolean).join(', ');
+}
 
-        body += `We recommend unlocking this incremental budget to maximize performance for the remainder of the flight.\n\n`;
-        body += `Please let us know if you'd like to proceed.\n\nBest,\n[Your Name]`;
-    }
+function getContact(level, name) {
+    const key = String(name || '').trim().toLowerCase();
+    return key ? AppState.contacts.find(c => c.level === level && c.name.toLowerCase() === key) || null : null;
+}
+
+function findEmailContact(type, target) {
+    if (type === 'partner') return getContact('partner', target);
+    if (type === 'advertiser' && getContact('advertiser', target)) return getContact('advertiser', target);
 
-    UI.emailOutput.value = `Subject: ${subject}\n\n${body}`;
+    // Campaign (or uncovered advertiser): the contacts of the rows it covers
+    const rows = getEmailScope(type, target);
+    for (const level of ['advertiser', 'partner']) {
+        const contact = rows.map(item => getContact(level, item[level])).find(Boolean);
+        if (contact) return contact;
+    }
+    return null;
 }
 
-function copyEmail() {
-    UI.emailOutput.select();
-    document.execCommand('copy');
+function contactRow(contact) {
+    const levels = Object.entries(CONTACT_LEVELS).map(([key, label]) => `<option value="${key}"${contact.level === key ? ' selected' : ''}>${label}</option>`).join('');
+    const input = (cls, value, placeholder) => `<td><input type="text" class="custom-select ${cls}" placeholder="${placeholder}" value="${escapeHtml(value || '')}"></td>`;
+    return `<tr class="contact-row">
+        <td><select class="custom-select contact-level">${levels}</select></td>
+        ${input('contact-name', contact.name, 'Name as in the report')}
+        ${input('contact-to', contact.to, 'a@client.com, b@client.com')}
+        ${input('contact-cc', contact.cc, 'Optional')}
+        ${input('contact-greeting', contact.greeting, 'e.g. Sam')}
+        ${input('contact-owner', contact.owner, 'Optional')}
+        <td><button class="btn text-btn danger btn-remove-contact" title="Remove contact"><i data-lucide="x"></i></button></td>
+    </tr>`;
+}
 
-    const original = UI.btnCopyEmail.innerHTML;
-    UI.btnCopyEmail.innerHTML = `<i data-lucide="check"></i> Copied`;
+function addContactRow(contact) {
+    UI.contactRows.insertAdjacentHTML('beforeend', contactRow(contact));
     if (window.lucide) lucide.createIcons();
-    setTimeout(() => UI.btnCopyEmail.innerHTML = original, 2000);
+    UI.contactRows.lastElementChild.querySelector(contact.name ? '.contact-to' : '.contact-name').focus();
 }
 
-// --- PACING EMAIL LOGIC ---
+function renderContactsEditor() {
+    UI.contactRows.innerHTML = AppState.contacts.map(contactRow).join('');
 
-function updatePacingEmailTargets() {
-    const type = UI.pacingEmailTemplateType.value;
-    let options = [];
+    // Partners and advertisers in the loaded data that nothing covers yet
     const data = AppState.processedData;
+    const missing = Object.keys(CONTACT_LEVELS).map(level => {
+        const names = [...new Set(data.map(item => item[level]).filter(Boolean))].filter(name => !getContact(level, name)).sort();
+        if (names.length === 0) return '';
+        return `<h4>${CONTACT_LEVELS[level]}s</h4><ul>${names.map(name => `<li>
+            <strong>${escapeHtml(name)}</strong>
+            <button class="btn text-btn" data-level="${level}" data-add-contact="${escapeHtml(name)}"><i data-lucide="plus"></i> Add</button>
+        </li>`).join('')}</ul>`;
+    }).join('');
 
-    if (type === 'partner') {
-        UI.pacingEmailTargetLabel.textContent = "Select Partner";
-        options = [...new Set(data.map(d => d.partner).filter(Boolean))].sort();
-    } else if (type === 'advertiser') {
-        UI.pacingEmailTargetLabel.textContent = "Select Advertiser";
-        options = [...new Set(data.map(d => d.advertiser).filter(Boolean))].sort();
-    } else {
-        UI.pacingEmailTargetLabel.textContent = "Select Campaign";
-        options = data.map(d => d.campaign).filter(Boolean).sort();
-    }
-    fillSelect(UI.pacingEmailTargetSelect, options);
+    UI.contactsMissing.innerHTML = missing || `<p class="hint-text">${data.length ? 'Every partner and advertiser in the loaded data has a contact.' : 'Load a file to see which partners and advertisers have no contact.'}</p>`;
+    if (window.lucide) lucide.createIcons();
 }
 
-function generatePacingEmail() {
-    const type = UI.pacingEmailTemplateType.value;
-    const target = UI.pacingEmailTargetSelect.value;
-    const style = UI.pacingEmailStyle.value;
+function readContactsFromEditor() {
+    const contacts = [];
+    const invalid = [];
+    const seen = new Set();
+
+    UI.contactRows.querySelectorAll('.contact-row').forEach(row => {
+        const value = cls => row.querySelector(cls).value.trim();
+        const contact = {
+            level: row.querySelector('.contact-level').value,
+            name: value('.contact-name'),
+            to: normalizeRecipients(value('.contact-to')),
+            cc: normalizeRecipients(value('.contact-cc')),
+            greeting: value('.contact-greeting'),
+            owner: value('.contact-owner')
+        };
+        if (!contact.name && !contact.to && !contact.cc) return;
+
+        const key = `${contact.level}:${contact.name.toLowerCase()}`;
+        const addresses = [contact.to, contact.cc].join(',').split(',').map(s => s.trim()).filter(Boolean);
+        if (!contact.name || seen.has(key) || addresses.some(address => !/^[^\s@]+@[^\s@]+$/.test(address.replace(/^.*<(.+)>$/, '$1')))) {
+            invalid.push(contact.name || '(no name)');
+            return;
+        }
+        seen.add(key);
+        contacts.push(contact);
+    });
+    return { contacts, invalid };
+}
 
-    if (!target) {
-        UI.pacingEmailOutput.value = "Please select a target first.";
+function saveContactsFromEditor() {
+    const { contacts, invalid } = readContactsFromEditor();
+    if (invalid.length) {
+        alert(`Please check these contacts (name missing or listed twice, or an email address that isn't valid): ${invalid.join(', ')}`);
         return;
     }
 
-    let scopeData = AppState.processedData;
-    if (type === 'partner') scopeData = scopeData.filter(d => d.partner === target);
-    if (type === 'advertiser') scopeData = scopeData.filter(d => d.advertiser === target);
-    if (type === 'campaign') scopeData = scopeData.filter(d => d.campaign === target);
+    AppState.contacts = contacts;
+    localStorage.setItem(STORAGE_KEYS.contacts, JSON.stringify(contacts));
+    renderContactsEditor();
+}
 
-    // Filter for UNDER pacing (< 99%)
-    let pacingData = scopeData.filter(d => {
-        const p = parseFloat(d.pacing);
-        return !isNaN(p) && p < 99;
+// Contacts from a sheet with either a Level + Name column or Partner / Advertiser columns,
+// plus To, CC, Greeting and Owner columns
+function importContacts(workbook) {
+    const rows = workbook.sheets[workbook.sheetNames[0]] || [];
+    const headers = rows.length ? Object.keys(rows[0]) : [];
+    const columns = {};
+    Object.entries(CONTACT_IMPORT_HEADERS).forEach(([key, pattern]) => {
+        columns[key] = headers.find(h => pattern.test(h) && !Object.values(columns).includes(h));
     });
 
-    // Apply Duplicate Filter
-    const dupFilter = UI.pacingEmailDuplicateFilter ? UI.pacingEmailDuplicateFilter.value : 'none';
-    if (dupFilter !== 'none') {
-        const uniqueMap = new Map();
-        pacingData.forEach(item => {
-            const key = item.campaign;
-            if (!uniqueMap.has(key)) {
-                uniqueMap.set(key, item);
-            } else {
-                const existing = uniqueMap.get(key);
-                let replace = false;
-
-                if (dupFilter === 'max-opp') {
-                    // For under-pacing, we use 'spendRisk' (magnitude) or 'incrementalBudget' as proxy for importance.
-                    // spendRisk is negative. So "Max Opp" = "Biggest Risk" = Lowest value (e.g. -500 vs -10).
-                    // Or just use budget size?
-                    // Let's use incrementalBudget as a safe "Potential" proxy.
-                    if ((item.incrementalBudget || 0) > (existing.incrementalBudget || 0)) replace = true;
-                } else if (dupFilter === 'best-perf') {
-                    // KPI Logic
-                    const type = String(item.kpiType || '').toLowerCase();
-                    const isCost = type.includes('cpa') || type.includes('cost');
-                    if (isCost) {
-                        if (item.kpiPerfRatio < existing.kpiPerfRatio) replace = true;
-                    } else {
-                        if (item.kpiPerfRatio > existing.kpiPerfRatio) replace = true;
-                    }
-                }
-                if (replace) uniqueMap.set(key, item);
-            }
-        });
-        pacingData = Array.from(uniqueMap.values());
-    }
+    let imported = 0;
+    rows.forEach(row => {
+        const cell = key => columns[key] ? String(row[columns[key]] ?? '').trim() : '';
+        let level;
+        let name;
+        if (columns.level && columns.name) {
+            level = /adv/i.test(cell('level')) ? 'advertiser' : 'partner';
+            name = cell('name');
+        } else if (cell('advertiser')) {
+            level = 'advertiser';
+            name = cell('advertiser');
+        } else {
+            level = 'partner';
+            name = cell('partner') || cell('name');
+        }
+        if (!name || !(cell('to') || cell('cc'))) return;
+
+        const contact = { level, name, to: normalizeRecipients(cell('to')), cc: normalizeRecipients(cell('cc')), greeting: cell('greeting'), owner: cell('owner') };
+        const existing = Array.from(UI.contactRows.querySelectorAll('.contact-row')).find(r =>
+            r.querySelector('.contact-level').value === level && r.querySelector('.contact-name').value.trim().toLowerCase() === name.toLowerCase());
+        if (existing) existing.outerHTML = contactRow(contact);
+        else UI.contactRows.insertAdjacentHTML('beforeend', contactRow(contact));
+        imported++;
+    });
 
-    if (pacingData.length === 0) {
-        UI.pacingEmailOutput.value = `No campaigns found pacing under 99% for '${target}'.`;
+    if (imported === 0) {
+        alert("No contacts found. Use a sheet with a Partner or Advertiser column and a To (email) column.");
         return;
     }
 
-    let subject = "";
-    let body = "";
-
-    if (style === 'urgent') {
-        subject = `URGENT: Low Pacing Alert - ${target}`;
-        body = `Hi Team,\n\nThe following campaigns for ${target} are currently pacing below 99% and are at risk of under-delivery.\n\n`;
-        body += `Please review and optimize immediately.\n\n`;
-
-        pacingData.forEach(d => {
-            body += `• ${d.campaign}\n`;
-            body += `  - Current Pacing: ${formatPercent(d.pacing)}\n`;
-            body += `  - Days Remaining: ${d.daysRemaining}\n\n`;
-        });
-
-    } else {
-        // Standard
-        subject = `Pacing Update: ${target}`;
-        body = `Hi Team,\n\nHere is the pacing report for ${target}. We have flagged ${pacingData.length} campaigns that are currently pacing below 99%.\n\n`;
-
-        pacingData.forEach(d => {
-            let pacingVal = Math.round(d.pacing);
-            if (pacingVal > 100) pacingVal = 100;
-
-            body += `Campaign: ${d.campaign} (${d.advertiser})\n`;
-            body += `  - Pacing: ${pacingVal}%\n`;
-            body += `  - Days Remaining: ${d.daysRemaining}\n`;
-            body += `  - Budget Remaining: ${formatCurrency(d.incrementalBudget * d.daysRemaining)} (Est.)\n\n`;
-        });
-    }
-
-    body += `\nPlease let us know if there are any blockers.\n\nBest,\n[Your Name]`;
-    UI.pacingEmailOutput.value = `Subject: ${subject}\n\n${body}`;
-}
-
-function copyPacingEmail() {
-    UI.pacingEmailOutput.select();
-    document.execCommand('copy');
-    const original = UI.btnCopyPacingEmail.innerHTML;
-    UI.btnCopyPacingEmail.innerHTML = `<i data-lucide="check"></i> Copied`;
     if (window.lucide) lucide.createIcons();
-    setTimeout(() => UI.btnCopyPacingEmail.innerHTML = original, 2000);
+    alert(`Imported ${imported} contacts. Check them, then Save.`);
 }
 
+function exportContacts() {
+    if (AppState.contacts.length === 0) {
+        alert("No saved contacts to export.");
+        return;
+    }
+    const aoa = [['Level', 'Name', 'To', 'CC', 'Greeting', 'Account Owner']];
+    AppState.contacts.forEach(c => aoa.push([CONTACT_LEVELS[c.level], c.name, c.to, c.cc, c.greeting, c.owner]));
+    const worksheet = XLSX.utils.aoa_to_sheet(aoa);
+    downloadFile(`incremental-insights-contacts-${new Date().toISOString().slice(0, 10)}.csv`, '\ufeff' + XLSX.utils.sheet_to_csv(worksheet), 'text/csv;charset=utf-8');
+}
 
 function formatRatio(val) {
     if (val === undefined || val === null || isNaN(val)) return '-';
@@ -1562,43 +5924,30 @@ function formatRatio(val) {
 
 function formatNumber(val) {
     if (val === undefined || val === null || isNaN(val)) return '0';
-    return new Intl.NumberFormat('en-US').format(val);
+    const { locale } = AppState.currencySettings;
+    if (!NUMBER_FORMATTERS.has(locale)) NUMBER_FORMATTERS.set(locale, new Intl.NumberFormat(locale));
+    return NUMBER_FORMATTERS.get(locale).format(val);
 }
 
-function formatKpi(val, type) {
+function formatKpi(val, type, currency) {
     if (!type || val === undefined || val === null || isNaN(val)) return val || '-';
 
-    const t = type.toLowerCase();
-
-    // Currency Types
-    if (t.includes('cpa') || t.includes('revenue') || t.includes('cost') || t.includes('cpcv')) {
-        return formatCurrency(val);
-    }
-
-    // Percentage Types
-    if (t.includes('ctr') || t.includes('vcr') || t.includes('rate')) {
-        // Assume raw values are already in correct scale, just append %
-        // User example: 0.27 -> 0.27%, 92.7 -> 92.7%
-        // We can limit decimals to 2?
-        // If integer, don't add decimals.
-        return parseFloat(val) + '%';
-    }
-
-    // Human Counts
-    if (t === 'incremental reach') {
-        return '+' + formatNumber(val) + ' people';
-    }
-
-    if (t.includes('reach') || t.includes('users') || t.includes('visitors')) {
-        return formatNumber(val);
-    }
-
-    if (t === 'no goal' || t === 'none' || t === 'n/a') {
-        return 'N/A';
+    switch (getKpiType(type).format) {
+        case 'currency':
+            return formatCurrency(val, currency);
+        case 'percent':
+            // Assume raw values are already in correct scale, just append %
+            // User example: 0.27 -> 0.27%, 92.7 -> 92.7%
+            return parseFloat(val) + '%';
+        case 'multiplier':
+            return formatNumber(Math.round(val * 100) / 100) + 'x';
+        case 'people':
+            return '+' + formatNumber(val) + ' people';
+        case 'none':
+            return 'N/A';
+        default:
+            return formatNumber(val);
     }
-
-    // Default
-    return formatNumber(val);
 }
 
 // Start
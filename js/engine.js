@@ -0,0 +1,754 @@
+/**
+ * Incremental Insights - Data Engine
+ * Parsing, normalization and opportunity calculation. Loaded by the page and by the
+ * background worker (js/worker.js), so nothing in here may touch the DOM or AppState.
+ */
+
+// Internal columns added to parsed rows to remember which sheet (and sheet row) they came from
+const SOURCE_SHEET_KEY = '__sourceSheet';
+const SOURCE_ROW_KEY = '__sourceRow';
+
+// Rows processed between progress reports / cancellation checks
+const ENGINE_CHUNK_SIZE = 5000;
+
+// --- Parsing ---
+// Read a workbook and convert every sheet to row objects. The result is plain data
+// ({ sheetNames, sheets: { name: rows } }) so it can be posted back from the worker.
+function parseWorkbook(data) {
+    const workbook = XLSX.read(data, { type: 'array' });
+    const sheets = {};
+    workbook.SheetNames.forEach(name => {
+        sheets[name] = XLSX.utils.sheet_to_json(workbook.Sheets[name], { defval: "" });
+    });
+    return { sheetNames: workbook.SheetNames, sheets };
+}
+
+// Convert one or more sheets to rows. Multiple sheets are unioned into one dataset,
+// each row tagged with the sheet it came from (SOURCE_SHEET_KEY).
+function sheetsToRows(workbook, sheetNames) {
+    const sheets = sheetNames.map(name => ({
+        name,
+        rows: workbook.sheets[name] || []
+    }));
+
+    // Sheets can have slightly different columns; make every row carry the full header set
+    const headerSet = new Set();
+    sheets.forEach(sheet => sheet.rows.slice(0, 1).forEach(row => Object.keys(row).forEach(h => headerSet.add(h))));
+    const headers = [...headerSet];
+
+    const json = [];
+    sheets.forEach(sheet => {
+        sheet.rows.forEach((row, index) => {
+            const merged = {};
+            headers.forEach(h => merged[h] = row[h] !== undefined ? row[h] : "");
+            merged[SOURCE_SHEET_KEY] = sheet.name;
+            merged[SOURCE_ROW_KEY] = index + 2; // 1-based, after the header row
+            json.push(merged);
+        });
+    });
+
+    return json;
+}
+
+function getSourceHeaders(rows) {
+    return rows.length ? Object.keys(rows[0]).filter(h => h !== SOURCE_SHEET_KEY && h !== SOURCE_ROW_KEY) : [];
+}
+
+// --- KPI Types ---
+// How each goal type is judged and displayed. A goal type from the file is matched by
+// label/alias (exact first, then the longest alias it contains, so "CPA - Post Click" is
+// a CPA and "CPCV" isn't mistaken for CPC). Unknown types are treated as higher-is-better
+// numbers. The page lets users edit this list; the edited list travels with engine tasks.
+const KPI_FORMATS = {
+    currency: 'Currency ($1.23)',
+    percent: 'Percent (0.27%)',
+    number: 'Number (1,234)',
+    multiplier: 'Multiplier (3.2x)',
+    people: 'People (+1,234 people)',
+    none: 'No goal (N/A)'
+};
+
+const DEFAULT_KPI_TYPES = [
+    { id: 'cpa', label: 'CPA', lowerIsBetter: true, format: 'currency', aliases: ['cost per acquisition', 'cost per action', 'cost'] },
+    { id: 'cpc', label: 'CPC', lowerIsBetter: true, format: 'currency', aliases: ['cost per click'] },
+    { id: 'cpm', label: 'CPM', lowerIsBetter: true, format: 'currency', aliases: ['vcpm', 'cost per mille', 'cost per thousand'] },
+    { id: 'cpcv', label: 'CPCV', lowerIsBetter: true, format: 'currency', aliases: ['cost per completed view'] },
+    { id: 'ctr', label: 'CTR', lowerIsBetter: false, format: 'percent', aliases: ['click-through rate', 'click through rate'] },
+    { id: 'vcr', label: 'VCR', lowerIsBetter: false, format: 'percent', aliases: ['video completion rate', 'completion rate'] },
+    { id: 'viewability', label: 'Viewability', lowerIsBetter: false, format: 'percent', aliases: ['viewable rate', 'in-view rate'] },
+    { id: 'roas', label: 'ROAS', lowerIsBetter: false, format: 'multiplier', aliases: ['return on ad spend'] },
+    { id: 'revenue', label: 'Revenue', lowerIsBetter: false, format: 'currency', aliases: [] },
+    { id: 'incremental-reach', label: 'Incremental Reach', lowerIsBetter: false, format: 'people', aliases: [] },
+    { id: 'reach', label: 'Reach', lowerIsBetter: false, format: 'number', aliases: ['users', 'visitors', 'unique users'] },
+    { id: 'rate', label: 'Rate', lowerIsBetter: false, format: 'percent', aliases: [] }, // Any other "... Rate" goal
+    { id: 'no-goal', label: 'No Goal', lowerIsBetter: false, format: 'none', aliases: ['none', 'n/a'] }
+];
+
+const UNKNOWN_KPI_TYPE = { id: '', label: '', lowerIsBetter: false, format: 'number', aliases: [] };
+
+// Returns resolve(goalType) -> KPI type definition, cached per distinct goal type
+function createKpiResolver(kpiTypes) {
+    const names = [];
+    (kpiTypes || DEFAULT_KPI_TYPES).forEach(def => {
+        [def.label, ...(def.aliases || [])].forEach(name => {
+            const key = String(name || '').trim().toLowerCase();
+            if (key) names.push({ key, def });
+        });
+    });
+    const byLength = [...names].sort((a, b) => b.key.length - a.key.length);
+    const cache = new Map();
+
+    return function resolve(goalType) {
+        const type = String(goalType || '').trim().toLowerCase();
+        if (cache.has(type)) return cache.get(type);
+
+        const exact = names.find(entry => entry.key === type);
+        const partial = exact || (type ? byLength.find(entry => type.includes(entry.key)) : null);
+        const def = partial ? partial.def : UNKNOWN_KPI_TYPE;
+        cache.set(type, def);
+        return def;
+    };
+}
+
+// Sets beatingGoalBool from avg vs goal in the KPI's direction. Without a goal the
+// file's own "Beating KPI Goal" column is used.
+function applyGoalStatus(normalized, resolveKpi) {
+    const avg = parseFloat(normalized.avgKpiValue) || 0;
+    const goal = parseFloat(normalized.goalValue) || 0;
+
+    if (goal > 0) {
+        normalized.beatingGoalBool = resolveKpi(normalized.kpiType).lowerIsBetter ? avg <= goal : avg >= goal;
+    } else {
+        const bg = String(normalized.beatingGoal).toLowerCase();
+        normalized.beatingGoalBool = bg === 'true' || bg === 'yes' || bg === '1';
+    }
+}
+
+// --- Currency Conversion ---
+// fx is { currency, rates } where rates[code] is the value of one unit of that currency in
+// the reporting currency (fx.currency). Amounts are converted in place and the originals kept
+// on row.original, so converting again with new rates (or fx = null to switch off) is exact.
+// Rows without a currency, or without a rate for theirs, are left as they are.
+// Amount fields converted by applyFxRates. Fields the file doesn't have stay undefined.
+const FX_AMOUNT_FIELDS = ['incrementalBudget', 'spendRisk', 'plannedBudget', 'spendToDate'];
+
+function applyFxRates(rows, fx) {
+    rows.forEach(row => {
+        if (row.original) {
+            Object.assign(row, row.original);
+            delete row.original;
+            delete row.fxRate;
+        }
+
+        if (!fx || !row.currency || row.currency === fx.currency) return;
+        const rate = fx.rates[row.currency];
+        if (!(rate > 0)) return;
+
+        row.original = { currency: row.currency };
+        FX_AMOUNT_FIELDS.forEach(key => {
+            row.original[key] = row[key];
+            if (row[key] !== undefined) row[key] = (row[key] || 0) * rate;
+        });
+        row.fxRate = rate;
+        row.currency = fx.currency;
+    });
+}
+
+// --- Delivery Forecast ---
+// Projects each campaign to the end of its flight against its planned budget:
+//   dailyShortfall     how much less than needed it is expected to spend per day: -spendRisk,
+//                      or, for files without a spend risk column (hasSpendRisk comes from the
+//                      field mapping), the needed daily spend scaled by how far pacing is off
+//   projectedSpend     spendToDate + (needed daily spend - dailyShortfall) × daysRemaining,
+//                      where the needed daily spend is what is left of plannedBudget per day
+//   projectedDelivery  projectedSpend as a % of plannedBudget
+//   projectedUnspent   plannedBudget - projectedSpend, the budget at risk
+// Without a planned budget and spend to date there is nothing to project against: delivery
+// is unknown (null) and the budget at risk is dailyShortfall × daysRemaining.
+// Run after applyFxRates, so the amounts are in the same currency as the rest of the row.
+function forecastDelivery(item, hasSpendRisk) {
+    const days = Math.max(item.daysRemaining || 0, 0);
+    const pacing = (item.pacing === undefined || item.pacing === null || isNaN(item.pacing)) ? null : Math.min(Math.max(item.pacing, 0), 100);
+    const planned = item.plannedBudget > 0 ? item.plannedBudget : 0;
+    const spent = Math.max(item.spendToDate || 0, 0);
+    const neededDaily = (planned > 0 && item.spendToDate !== undefined)
+        ? (days > 0 ? Math.max(planned - spent, 0) / days : 0)
+        : null;
+
+    let dailyShortfall = 0;
+    if (hasSpendRisk) dailyShortfall = Math.max(-(item.spendRisk || 0), 0);
+    else if (neededDaily !== null && pacing !== null) dailyShortfall = neededDaily * (1 - pacing / 100);
+
+    if (neededDaily === null) {
+        return { dailyShortfall, projectedSpend: null, projectedDelivery: null, projectedUnspent: dailyShortfall * days };
+    }
+
+    // Spending faster than needed still stops at the planned budget
+    const projectedSpend = Math.min(spent + Math.max(neededDaily - dailyShortfall, 0) * days, Math.max(planned, spent));
+    return {
+        dailyShortfall,
+        projectedSpend,
+        projectedDelivery: projectedSpend / planned * 100,
+        projectedUnspent: Math.max(planned - projectedSpend, 0)
+    };
+}
+
+function applyDeliveryForecast(rows, hasSpendRisk) {
+    rows.forEach(row => Object.assign(row, forecastDelivery(row, hasSpendRisk)));
+}
+
+// --- Data Normalization ---
+// Normalize parsed sheet rows into internal keys using a fieldMap.
+// Shared by the main dataset and week-over-week comparison baselines.
+// onProgress, if given, is called with the fraction of rows done.
+function normalizeRows(json, fieldMap, onProgress, kpiTypes) {
+    const resolveKpi = createKpiResolver(kpiTypes);
+    const rows = json.map((row, index) => {
+        if (onProgress && index % ENGINE_CHUNK_SIZE === 0) onProgress(index / json.length);
+
+        const normalized = { _id: index, _row: row }; // Keep original
+        normalized.sourceSheet = row[SOURCE_SHEET_KEY] || '';
+        normalized.sourceRow = row[SOURCE_ROW_KEY] || index + 2;
+        normalized._issues = []; // Validation findings, see VALIDATION_RULES
+        const addIssue = (code, field, value) => normalized._issues.push({ code, field, value });
+
+        // Extract known fields
+        for (const [key, mapping] of Object.entries(fieldMap)) {
+            let val = row[mapping];
+
+            // Clean value (logic for comma removal etc)
+            if (val !== undefined && val !== null) {
+                // Clean value: remove commas, spaces and currency symbols ($ € £ ¥ ₹)
+                const cleanedStr = String(val).replace(/[$,\s€£¥₹]/g, '');
+
+                const rawVal = val;
+                const isBlank = String(val).trim() === '';
+
+                if (key === 'pacing') {
+                    if (String(val).includes('%')) {
+                        // "98%" -> 98
+                        val = parseFloat(cleanedStr.replace('%', ''));
+                    } else {
+                        val = parseFloat(cleanedStr);
+                        // Heuristic: If value is small (<= 2.0 like 1.05), assume ratio (1.05 -> 105%). 
+                        // If value is > 2.0 (like 98), assume percentage (98 -> 98%).
+                        if (!isNaN(val) && val <= 2.0) {
+                            val = val * 100;
+                        }
+                    }
+
+                    if (isNaN(val) && !isBlank) addIssue('unparseableNumber', key, rawVal);
+
+                    // Cap at 100%
+                    if (val > 100) {
+                        addIssue('pacingAboveCap', key, rawVal);
+                        val = 100;
+                    }
+                    // Ensure decimals are handled if needed, but 100 is max.
+                } else if (['score', 'incrementalBudget', 'daysRemaining', 'avgKpiValue', 'goalValue', 'spendRisk', 'plannedBudget', 'spendToDate'].includes(key)) {
+                    const parsed = parseFloat(cleanedStr);
+                    if (isNaN(parsed) && !isBlank) addIssue('unparseableNumber', key, rawVal);
+                    val = parsed || 0;
+                } else if (key === 'offGoal') {
+                    // " -5% " -> -0.05 or -5?
+                    // Usually string "5%" -> 0.05?
+                    // If it has %, parseFloat removes it.
+                    // If CSV says "-5%", parseFloat("-5") -> -5.
+                    // If CSV says "0.05", parseFloat -> 0.05.
+                    // Let's assume standard Percentage rules.
+                    if (String(val).includes('%')) {
+                        val = parseFloat(cleanedStr.replace('%', '')); // -5 from "-5%"
+                        val = val / 100; // -0.05
+                    } else {
+                        val = parseFloat(cleanedStr);
+                    }
+                    if (isNaN(val) && !isBlank) addIssue('unparseableNumber', key, rawVal);
+                } else if (key === 'currency') {
+                    val = String(val).trim().toUpperCase(); // ISO code, e.g. "eur " -> "EUR"
+                } else {
+                    val = String(val).trim(); // Text fields
+                }
+            } else {
+                val = ''; // Default empty
+                if (['score', 'incrementalBudget', 'daysRemaining', 'pacing'].includes(key)) val = 0;
+            }
+
+            normalized[key] = val;
+        }
+
+        // Calculate KPI Performance Ratio
+        // (Average KPI Value / Goal Value) as requested
+        const avg = parseFloat(normalized.avgKpiValue) || 0;
+        const goal = parseFloat(normalized.goalValue) || 0;
+
+        if (goal !== 0) {
+            normalized.kpiPerfRatio = avg / goal;
+        } else {
+            normalized.kpiPerfRatio = 0;
+        }
+
+        // Normalize beatingGoal to boolean
+        // RECALCULATE based on the KPI direction (see KPI Types):
+        // lower-is-better (CPA, CPC...) beats if under goal, others if over goal.
+        applyGoalStatus(normalized, resolveKpi);
+
+        // --- Validation ---
+        if (normalized.daysRemaining < 0) addIssue('negativeDays', 'daysRemaining', normalized.daysRemaining);
+
+        const hasRealGoalType = normalized.kpiType && resolveKpi(normalized.kpiType).format !== 'none';
+        if (hasRealGoalType && goal <= 0) addIssue('missingGoal', 'goalValue', normalized.goalValue);
+
+        // Default 'calculatedOpportunity'
+        normalized.calculatedOpportunity = 0;
+
+        return normalized;
+    });
+
+    // --- DUPLICATE DETECTION ---
+    const seenIds = new Set();
+    const duplicates = new Set();
+
+    // First pass to identify duplicates
+    rows.forEach(item => {
+        const id = item.campaignId;
+        if (id) {
+            if (seenIds.has(id)) {
+                duplicates.add(id);
+            }
+            seenIds.add(id);
+        }
+    });
+
+    // Second pass to mark them
+    rows.forEach(item => {
+        if (item.campaignId && duplicates.has(item.campaignId)) {
+            item.isDuplicate = true;
+            item._issues.push({ code: 'duplicateId', field: 'campaignId', value: item.campaignId });
+        } else {
+            item.isDuplicate = false;
+        }
+    });
+
+    return rows;
+}
+
+// --- Opportunity Formula Engine ---
+// A formula is a list of named qualification conditions plus an arithmetic expression.
+// A campaign qualifies only if every condition is true; its opportunity is the expression.
+// Expressions are parsed by a small recursive-descent parser (no eval), over the
+// variables below.
+
+// Per-campaign values available in formulas
+const FORMULA_FIELDS = {
+    score: { label: 'Decision Power Score', get: item => item.score || 0 },
+    incrementalBudget: { label: 'Daily Incremental Budget', get: item => item.incrementalBudget || 0 },
+    daysRemaining: { label: 'Flight Days Remaining', get: item => item.daysRemaining || 0 },
+    pacing: { label: 'Pacing % (0-100)', get: item => item.pacing || 0 },
+    avgKpiValue: { label: 'Average KPI Value', get: item => item.avgKpiValue || 0 },
+    goalValue: { label: 'Goal Value', get: item => item.goalValue || 0 },
+    kpiPerfRatio: { label: 'KPI Performance Ratio (Avg / Goal)', get: item => item.kpiPerfRatio || 0 },
+    offGoal: { label: 'Off Goal (fraction, -0.05 = -5%)', get: item => item.offGoal || 0 },
+    spendRisk: { label: 'Daily Spend Risk', get: item => item.spendRisk || 0 },
+    beatingGoal: { label: 'Beating KPI Goal (1 or 0)', get: item => item.beatingGoalBool ? 1 : 0 },
+    isDuplicate: { label: 'Duplicate Campaign ID (1 or 0)', get: item => item.isDuplicate ? 1 : 0 }
+};
+
+// Sidebar slider values available in formulas, so the sliders keep working with custom rules
+const FORMULA_SETTINGS = {
+    scoreThreshold: { label: 'Min Power Score slider', get: settings => settings.scoreThreshold },
+    pacingThreshold: { label: 'Min Pacing % slider', get: settings => settings.pacingThreshold },
+    incBuffer: { label: 'Inc. Opp. Buffer as a multiplier (0% = 1)', get: settings => settings.incBufferMultiplier }
+};
+
+const FORMULA_FUNCTIONS = {
+    min: Math.min,
+    max: Math.max,
+    abs: Math.abs,
+    round: Math.round,
+    floor: Math.floor,
+    ceil: Math.ceil
+};
+
+const DEFAULT_FORMULA_ID = 'preset-default';
+
+const FORMULA_PRESETS = [
+    {
+        id: DEFAULT_FORMULA_ID,
+        name: 'Default (Pacing + Score)',
+        builtIn: true,
+        conditions: [
+            { name: 'Pacing at threshold', expr: 'pacing >= pacingThreshold' },
+            { name: 'High decision power', expr: 'score > scoreThreshold' }
+        ],
+        expression: 'incrementalBudget * daysRemaining * incBuffer'
+    },
+    {
+        id: 'preset-beating-kpi',
+        name: 'Must Beat KPI Goal',
+        builtIn: true,
+        conditions: [
+            { name: 'Pacing at threshold', expr: 'pacing >= pacingThreshold' },
+            { name: 'High decision power', expr: 'score > scoreThreshold' },
+            { name: 'Beating KPI goal', expr: 'beatingGoal' }
+        ],
+        expression: 'incrementalBudget * daysRemaining * incBuffer'
+    },
+    {
+        id: 'preset-score-weighted',
+        name: 'Score Weighted',
+        builtIn: true,
+        conditions: [
+            { name: 'Pacing at threshold', expr: 'pacing >= pacingThreshold' },
+            { name: 'High decision power', expr: 'score > scoreThreshold' }
+        ],
+        expression: 'incrementalBudget * daysRemaining * incBuffer * min(score / 100, 2)'
+    },
+    {
+        id: 'preset-capped-30',
+        name: 'Capped at 30 Days',
+        builtIn: true,
+        conditions: [
+            { name: 'Pacing at threshold', expr: 'pacing >= pacingThreshold' },
+            { name: 'High decision power', expr: 'score > scoreThreshold' }
+        ],
+        expression: 'incrementalBudget * min(daysRemaining, 30) * incBuffer'
+    }
+];
+
+function tokenizeFormula(source) {
+    const tokens = [];
+    const src = String(source);
+    let i = 0;
+
+    while (i < src.length) {
+        const ch = src[i];
+
+        if (/\s/.test(ch)) {
+            i++;
+            continue;
+        }
+
+        if (/[0-9.]/.test(ch)) {
+            const match = src.slice(i).match(/^(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/);
+            if (!match) throw new Error(`Invalid number at position ${i + 1}`);
+            tokens.push({ type: 'num', value: parseFloat(match[0]), pos: i });
+            i += match[0].length;
+            continue;
+        }
+
+        if (/[A-Za-z_]/.test(ch)) {
+            const match = src.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+            const word = match[0];
+            // Friendly keyword aliases (own properties only, as for FORMULA_FUNCTIONS)
+            const aliases = { and: '&&', or: '||', not: '!' };
+            const keyword = Object.prototype.hasOwnProperty.call(aliases, word.toLowerCase()) ? aliases[word.toLowerCase()] : null;
+            tokens.push(keyword ? { type: 'op', value: keyword, pos: i } : { type: 'ident', value: word, pos: i });
+            i += word.length;
+            continue;
+        }
+
+        const two = src.slice(i, i + 2);
+        if (['<=', '>=', '==', '!=', '&&', '||'].includes(two)) {
+            tokens.push({ type: 'op', value: two, pos: i });
+            i += 2;
+            continue;
+        }
+
+        if ('+-*/%()<>!,'.includes(ch)) {
+            tokens.push({ type: 'op', value: ch, pos: i });
+            i++;
+            continue;
+        }
+
+        throw new Error(`Unexpected character "${ch}" at position ${i + 1}`);
+    }
+
+    return tokens;
+}
+
+// Compile an expression to a function of a scope object ({ name: number }).
+// Throws an Error describing the first problem found.
+function compileFormulaExpression(source) {
+    const tokens = tokenizeFormula(source);
+    if (tokens.length === 0) throw new Error('Expression is empty');
+
+    const knownNames = [...Object.keys(FORMULA_FIELDS), ...Object.keys(FORMULA_SETTINGS)];
+    let pos = 0;
+
+    const peek = () => tokens[pos];
+    const isOp = (value) => peek() && peek().type === 'op' && peek().value === value;
+    const expect = (value) => {
+        if (!isOp(value)) {
+            const t = peek();
+            throw new Error(t ? `Expected "${value}" at position ${t.pos + 1}` : `Expected "${value}" at end of expression`);
+        }
+        pos++;
+    };
+
+    const binary = (next, ops, apply) => () => {
+        let left = next();
+        while (peek() && peek().type === 'op' && ops.includes(peek().value)) {
+            const op = tokens[pos++].value;
+            const right = next();
+            const l = left;
+            left = scope => apply(op, l(scope), right(scope));
+        }
+        return left;
+    };
+
+    const parsePrimary = () => {
+        const t = peek();
+        if (!t) throw new Error('Unexpected end of expression');
+
+        if (t.type === 'num') {
+            pos++;
+            return () => t.value;
+        }
+
+        if (t.type === 'ident') {
+            pos++;
+            if (isOp('(')) {
+                // Own properties only, so "constructor(x)" isn't taken from Object.prototype
+                const fn = Object.prototype.hasOwnProperty.call(FORMULA_FUNCTIONS, t.value) ? FORMULA_FUNCTIONS[t.value] : null;
+                if (!fn) throw new Error(`Unknown function "${t.value}". Available: ${Object.keys(FORMULA_FUNCTIONS).join(', ')}`);
+                pos++;
+                const args = [];
+                if (!isOp(')')) {
+                    args.push(parseOr());
+                    while (isOp(',')) {
+                        pos++;
+                        args.push(parseOr());
+                    }
+                }
+                expect(')');
+                return scope => fn(...args.map(arg => Number(arg(scope))));
+            }
+            if (!knownNames.includes(t.value)) {
+                throw new Error(`Unknown variable "${t.value}" at position ${t.pos + 1}`);
+            }
+            return scope => scope[t.value];
+        }
+
+        if (t.type === 'op' && t.value === '(') {
+            pos++;
+            const inner = parseOr();
+            expect(')');
+            return inner;
+        }
+
+        throw new Error(`Unexpected "${t.value}" at position ${t.pos + 1}`);
+    };
+
+    const parseUnary = () => {
+        if (isOp('-') || isOp('+') || isOp('!')) {
+            const op = tokens[pos++].value;
+            const operand = parseUnary();
+            if (op === '-') return scope => -operand(scope);
+            if (op === '!') return scope => !operand(scope);
+            return operand;
+        }
+        return parsePrimary();
+    };
+
+    const parseMul = binary(parseUnary, ['*', '/', '%'], (op, a, b) => {
+        if (op === '*') return a * b;
+        if (op === '/') return a / b;
+        return a % b;
+    });
+    const parseAdd = binary(parseMul, ['+', '-'], (op, a, b) => op === '+' ? a + b : a - b);
+    const parseCmp = binary(parseAdd, ['<', '<=', '>', '>=', '==', '!='], (op, a, b) => {
+        switch (op) {
+            case '<': return a < b;
+            case '<=': return a <= b;
+            case '>': return a > b;
+            case '>=': return a >= b;
+            case '==': return a === b;
+            default: return a !== b;
+        }
+    });
+    const parseAnd = binary(parseCmp, ['&&'], (op, a, b) => !!(a && b));
+    const parseOr = binary(parseAnd, ['||'], (op, a, b) => !!(a || b));
+
+    const compiled = parseOr();
+    if (pos < tokens.length) {
+        throw new Error(`Unexpected "${tokens[pos].value}" at position ${tokens[pos].pos + 1}`);
+    }
+    return compiled;
+}
+
+// Compile a formula definition. Errors are tagged with the part that failed.
+function compileFormula(formula) {
+    const conditions = (formula.conditions || []).map((condition, index) => {
+        try {
+            return { name: condition.name, fn: compileFormulaExpression(condition.expr) };
+        } catch (error) {
+            throw new Error(`Condition "${condition.name || `#${index + 1}`}": ${error.message}`);
+        }
+    });
+
+    let expression;
+    try {
+        expression = compileFormulaExpression(formula.expression);
+    } catch (error) {
+        throw new Error(`Opportunity expression: ${error.message}`);
+    }
+
+    return { id: formula.id, name: formula.name, conditions, expression };
+}
+
+function buildFormulaScope(item, settings) {
+    const scope = {};
+    for (const [name, def] of Object.entries(FORMULA_FIELDS)) scope[name] = def.get(item);
+    for (const [name, def] of Object.entries(FORMULA_SETTINGS)) scope[name] = def.get(settings);
+    return scope;
+}
+
+// Compile a formula, falling back to the default preset if it no longer compiles
+// (a stored formula that broke shouldn't take the dashboard down)
+function compileFormulaOrDefault(formula) {
+    try {
+        return compileFormula(formula);
+    } catch (error) {
+        console.error(error);
+        return compileFormula(FORMULA_PRESETS[0]);
+    }
+}
+
+function calculateOpportunity(item, settings) {
+    // --- Opportunity Logic ---
+    // Default formula: pacing >= threshold AND score > threshold,
+    // opportunity = incrementalBudget * daysRemaining * incBuffer
+    const scope = buildFormulaScope(item, settings);
+
+    // Every qualification condition must hold
+    for (const condition of settings.formula.conditions) {
+        if (!condition.fn(scope)) return 0;
+    }
+
+    const opp = Number(settings.formula.expression(scope));
+    return isFinite(opp) && opp > 0 ? opp : 0;
+}
+
+// --- Engine Tasks ---
+// Message protocol between the page and the worker. A request is { id, type, payload };
+// replies are { id, type: 'progress' | 'done' | 'cancelled' | 'error', ... }.
+// The same handler runs on the main thread when workers are unavailable.
+function createEngineState() {
+    return {
+        datasets: {}, // Normalized rows by name ('current', 'baseline'), kept for recalculation
+        activeCalculation: null // Id of the calculation in progress; a newer one cancels it
+    };
+}
+
+function handleEngineMessage(state, message, post) {
+    const { id, type, payload } = message;
+    const report = (progress, label) => post({ id, type: 'progress', progress, label });
+    const fail = error => post({ id, type: 'error', message: error && error.message ? error.message : String(error) });
+
+    try {
+        switch (type) {
+            case 'parse':
+                report(null, 'Parsing workbook...');
+                post({ id, type: 'done', result: parseWorkbook(payload.data) });
+                break;
+
+            case 'normalize': {
+                const rows = normalizeRows(payload.rows, payload.fieldMap, progress => report(progress, 'Preparing rows...'), payload.kpiTypes);
+                state.datasets[payload.dataset] = rows;
+                post({ id, type: 'done', result: rows });
+                break;
+            }
+
+            case 'load':
+                // Rows that were normalized earlier (restored session)
+                state.datasets[payload.dataset] = payload.rows;
+                post({ id, type: 'done', result: true });
+                break;
+
+            case 'reclassify': {
+                // KPI types were edited: re-judge goal status on every stored dataset
+                const resolveKpi = createKpiResolver(payload.kpiTypes);
+                Object.values(state.datasets).forEach(rows => rows.forEach(row => applyGoalStatus(row, resolveKpi)));
+                post({ id, type: 'done', result: true });
+                break;
+            }
+
+            case 'drop':
+                delete state.datasets[payload.dataset];
+                post({ id, type: 'done', result: true });
+                break;
+
+            case 'calculate':
+                calculateDatasets(state, id, payload, post, fail);
+                break;
+
+            case 'cancel':
+                state.activeCalculation = null;
+                post({ id, type: 'done', result: true });
+                break;
+
+            default:
+                throw new Error(`Unknown engine task "${type}"`);
+        }
+    } catch (error) {
+        fail(error);
+    }
+}
+
+// Compute the opportunity of every row in every stored dataset. Works in chunks and
+// yields between them, so a newer 'calculate' message can arrive and cancel this one.
+// Results are Float64Arrays indexed by row _id, one per dataset.
+function calculateDatasets(state, id, payload, post, fail) {
+    state.activeCalculation = id;
+
+    const settings = { ...payload.settings, formula: compileFormulaOrDefault(payload.formula) };
+    const names = Object.keys(state.datasets);
+    // Budgets feed the formula, so they are converted before calculating
+    names.forEach(name => applyFxRates(state.datasets[name], payload.fx));
+    const results = {};
+    names.forEach(name => results[name] = new Float64Array(state.datasets[name].length));
+
+    let datasetIndex = 0;
+    let rowIndex = 0;
+
+    const step = () => {
+        if (state.activeCalculation !== id) {
+            post({ id, type: 'cancelled' });
+            return;
+        }
+
+        try {
+            let budget = ENGINE_CHUNK_SIZE;
+            while (budget > 0 && datasetIndex < names.length) {
+                const rows = state.datasets[names[datasetIndex]];
+                const out = results[names[datasetIndex]];
+                const end = Math.min(rowIndex + budget, rows.length);
+
+                for (let i = rowIndex; i < end; i++) {
+                    out[rows[i]._id] = calculateOpportunity(rows[i], settings);
+                }
+
+                budget -= end - rowIndex;
+                rowIndex = end;
+                if (rowIndex >= rows.length) {
+                    datasetIndex++;
+                    rowIndex = 0;
+                }
+            }
+        } catch (error) {
+            state.activeCalculation = null;
+            fail(error);
+            return;
+        }
+
+        if (datasetIndex < names.length) {
+            setTimeout(step, 0);
+            return;
+        }
+
+        state.activeCalculation = null;
+        post({ id, type: 'done', result: results }, Object.values(results).map(r => r.buffer));
+    };
+
+    step();
+}
@@ -0,0 +1,13 @@
+/**
+ * Incremental Insights - Background Worker
+ * Runs parsing, normalization and calculation off the main thread so large
+ * workbooks don't freeze the page. See "Engine Tasks" in engine.js for the protocol.
+ */
+
+importScripts('xlsx.full.min.js', 'engine.js');
+
+const state = createEngineState();
+
+self.onmessage = function (e) {
+    handleEngineMessage(state, e.data, (reply, transfer) => self.postMessage(reply, transfer || []));
+};